@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+'use strict'
+
+// Local
+const cli = require('../lib/cli')
+
+// Constants
+const kFirstArgumentIndex = 2 // Skip the node executable and this script
+
+cli.run(process.argv.slice(kFirstArgumentIndex))
+.then((exitCode) => {
+	process.exitCode = exitCode
+})
@@ -0,0 +1,491 @@
+/* eslint-disable global-require */
+'use strict'
+
+// Core
+const fs = require('fs'),
+	path = require('path')
+
+// Vendor
+const yaml = require('js-yaml')
+
+// Local
+const configExport = require('./export'),
+	configRedact = require('./redact'),
+	configSecrets = require('./secrets'),
+	loadConfig = require('../index')
+
+// Constants
+const kExitSuccess = 0,
+	kExitFailure = 1,
+	kExitUsage = 2,
+	kDefaultDirectory = 'config',
+	kFormats = ['json', 'yaml'],
+	kJsonIndent = 2,
+	kUsage = `Usage: node-config-loader <command> [options] [directory]
+
+Commands:
+  print               print the resolved configuration
+  get <key.path>      print a single value (strings are printed as is)
+  check               load every environment subdirectory and report any errors
+  report              compare every environment subdirectory and report the keys that are
+                      missing from some environments or differ between them (secrets are
+                      always redacted)
+  export              print the resolved configuration as .env (default) or shell export lines,
+                      JSON or YAML for consumers other than node (secrets are left out unless
+                      --show-secrets is passed)
+  encrypt             print the value read from stdin encrypted with the decryption key, for use
+                      in configuration files (e.g. password: 'enc:v2:...')
+  types               print TypeScript declarations (.d.ts) for the configuration of every
+                      environment subdirectory
+
+Options:
+  -e, --env <name>        environment to load (default: $NODE_ENV or develop)
+  -f, --format <format>   json (default) or yaml; export also supports env (default) and shell
+  --entry <file>          module that loads and exports the configuration (e.g. config/index.js)
+                          instead of loading [directory] directly
+  --include-root-index    also load [directory]/index.*
+  --recursive             also load the files in subdirectories other than environments into
+                          nested keys (see the recursive option)
+  --show-secrets          do not redact secret values
+  --key-file <file>       file containing the decryption key (default: $CONFIG_DECRYPTION_KEY or
+                          the file named by $CONFIG_DECRYPTION_KEY_FILE)
+  -h, --help              show this help
+
+Export options:
+  --include <key.path>    only export this key and everything below it (may be repeated)
+  --exclude <key.path>    leave out this key and everything below it (may be repeated)
+  --rename <key.path>=<name>
+                          export a key as <name> (may be repeated)
+  --prefix <prefix>       prefix of the variable names
+  --delimiter <delimiter> separates the prefix and keys of variable names (default: __)
+
+Types options:
+  --schema <file>         derive the types from this JSON Schema (.json or .js) instead of the
+                          configuration
+  --type-name <name>      name of the configuration interface (default: Config)
+  --out <file>            write the declarations to <file> instead of printing them
+  --check                 do not write <file>; exit with 1 if it is missing or out of date
+
+[directory] defaults to ./${kDefaultDirectory}
+`
+
+/**
+ * Runs the node-config-loader command line interface.
+ *
+ * @param {Array.<String>} args - command line arguments (excluding the node executable and script)
+ * @param {Object} [io = process] - {stdin, stdout, stderr, env, cwd()}
+ * @returns {Promise.<Number>} - exit code
+ */
+function run(args, io = process) {
+	let stdout = (text) => io.stdout.write(text),
+		stderr = (text) => io.stderr.write(text),
+		parsed = null
+
+	try {
+		parsed = parseArgs(args)
+	}
+	catch (error) {
+		stderr(`${error.message}\n\n${kUsage}`)
+		return Promise.resolve(kExitUsage)
+	}
+
+	if (parsed.help) {
+		stdout(kUsage)
+		return Promise.resolve(kExitSuccess)
+	}
+
+	let directory = path.resolve(io.cwd(), parsed.directory || kDefaultDirectory),
+		environment = parsed.env || io.env.NODE_ENV || 'develop',
+		commandPromise = null
+
+	switch (parsed.command) {
+		case 'print':
+			commandPromise = load(directory, environment, parsed, io)
+			.then((config) => {
+				stdout(serialize(parsed.showSecrets ? config : configRedact.redact(config), parsed.format))
+				return kExitSuccess
+			})
+			break
+		case 'get':
+			commandPromise = load(directory, environment, parsed, io)
+			.then((config) => {
+				let keys = parsed.keyPath.split('.'),
+					value = config
+				for (let i = 0; i < keys.length; i++) {
+					if (!value || typeof value !== 'object' || !Reflect.has(value, keys[i])) {
+						stderr(`${parsed.keyPath} is not defined\n`)
+						return kExitFailure
+					}
+					if (!parsed.showSecrets && configRedact.isSecretPath(config, keys.slice(0, i + 1))) {
+						value = configRedact.kRedacted
+						break
+					}
+					value = value[keys[i]]
+				}
+
+				stdout(typeof value === 'string' ? value + '\n' : serialize(parsed.showSecrets ? value : configRedact.redact(value), parsed.format))
+				return kExitSuccess
+			})
+			break
+		case 'check':
+			commandPromise = check(directory, parsed, io, stdout, stderr)
+			break
+		case 'encrypt':
+			commandPromise = new Promise((resolve) => {
+				let key = parsed.keyFile ? configSecrets.readSecretFile(path.resolve(io.cwd(), parsed.keyFile), '--key-file') : configSecrets.withFileVariables(io.env)[loadConfig.kDefaultDecryptionKeyEnvKey]
+				if (!key)
+					throw new Error(`No encryption key: set ${loadConfig.kDefaultDecryptionKeyEnvKey} (or ${loadConfig.kDefaultDecryptionKeyEnvKey}_FILE) or pass --key-file`)
+
+				if (io.stdin.isTTY)
+					stderr('Enter the value to encrypt, followed by Ctrl-D:\n')
+				resolve(readStdin(io.stdin).then((value) => {
+					if (!value)
+						throw new Error('No value to encrypt: pass it on stdin')
+
+					stdout(configSecrets.encrypt(value, key) + '\n')
+					return kExitSuccess
+				}))
+			})
+			break
+		case 'export':
+			commandPromise = load(directory, environment, parsed, io)
+			.then((config) => {
+				stdout(configExport.exportConfig(config, {
+					format: parsed.format,
+					include: parsed.include.length ? parsed.include : null,
+					exclude: parsed.exclude,
+					rename: parsed.rename,
+					prefix: parsed.prefix,
+					delimiter: parsed.delimiter,
+					includeSecrets: parsed.showSecrets,
+					onSecretOmitted: (keyPath) => stderr(`Left out the secret ${keyPath} (pass --show-secrets to export it)\n`)
+				}))
+				return kExitSuccess
+			})
+			break
+		case 'report':
+			commandPromise = loadConfig.report.async(directory, null, loadOptions(parsed, io))
+			.then((report) => {
+				stdout(serialize(report, parsed.format))
+				return report.complete ? kExitSuccess : kExitFailure
+			})
+			break
+		case 'types':
+			commandPromise = types(directory, environment, parsed, io, stdout, stderr)
+			break
+	}
+
+	return commandPromise
+	.catch((error) => {
+		stderr(`${error.message}\n`)
+		return kExitFailure
+	})
+}
+
+// --------------------------------------------------------
+/**
+ * @param {Array.<String>} args
+ * @returns {Object} - {command, keyPath, directory, env, format, entry, includeRootIndex, recursive, showSecrets, keyFile, include, exclude, rename, prefix, delimiter, schema, typeName, out, check, help}
+ */
+function parseArgs(args) {
+	let result = {
+			format: null,
+			includeRootIndex: false,
+			recursive: false,
+			showSecrets: false,
+			include: [],
+			exclude: [],
+			rename: {},
+			check: false,
+			help: false
+		},
+		positional = []
+
+	for (let i = 0; i < args.length; i++) {
+		let arg = args[i]
+		switch (arg) {
+			case '-h':
+			case '--help':
+				result.help = true
+				break
+			case '-e':
+			case '--env':
+				result.env = optionValue(args, ++i, arg)
+				break
+			case '-f':
+			case '--format':
+				result.format = optionValue(args, ++i, arg)
+				break
+			case '--entry':
+				result.entry = optionValue(args, ++i, arg)
+				break
+			case '--include-root-index':
+				result.includeRootIndex = true
+				break
+			case '--recursive':
+				result.recursive = true
+				break
+			case '--show-secrets':
+				result.showSecrets = true
+				break
+			case '--key-file':
+				result.keyFile = optionValue(args, ++i, arg)
+				break
+			case '--include':
+				result.include.push(optionValue(args, ++i, arg))
+				break
+			case '--exclude':
+				result.exclude.push(optionValue(args, ++i, arg))
+				break
+			case '--rename': {
+				let rename = optionValue(args, ++i, arg),
+					separator = rename.indexOf('=')
+				if (separator < 1 || separator === rename.length - 1)
+					throw new Error(`Invalid value for --rename: ${rename} (expected <key.path>=<name>)`)
+				result.rename[rename.substr(0, separator)] = rename.substr(separator + 1)
+				break
+			}
+			case '--prefix':
+				result.prefix = optionValue(args, ++i, arg)
+				break
+			case '--delimiter':
+				result.delimiter = optionValue(args, ++i, arg)
+				break
+			case '--schema':
+				result.schema = optionValue(args, ++i, arg)
+				break
+			case '--type-name':
+				result.typeName = optionValue(args, ++i, arg)
+				break
+			case '--out':
+				result.out = optionValue(args, ++i, arg)
+				break
+			case '--check':
+				result.check = true
+				break
+			default:
+				if (arg.startsWith('-'))
+					throw new Error(`Unknown option: ${arg}`)
+				positional.push(arg)
+		}
+	}
+
+	if (result.help)
+		return result
+
+	result.command = positional.shift()
+	if (!result.command)
+		throw new Error('Missing command')
+	if (!['print', 'get', 'check', 'report', 'export', 'encrypt', 'types'].includes(result.command))
+		throw new Error(`Unknown command: ${result.command}`)
+	if (result.command === 'get') {
+		result.keyPath = positional.shift()
+		if (!result.keyPath)
+			throw new Error('Missing key path')
+	}
+	if (result.command !== 'encrypt')
+		result.directory = positional.shift()
+	if (positional.length)
+		throw new Error(`Unexpected argument: ${positional[0]}`)
+	if (result.check && !result.out)
+		throw new Error('--check requires --out')
+	if (result.command === 'export') {
+		result.format = result.format || 'env'
+		if (!configExport.kFormats.includes(result.format))
+			throw new Error(`Unknown format: ${result.format}`)
+	}
+	else {
+		result.format = result.format || 'json'
+		if (!kFormats.includes(result.format))
+			throw new Error(`Unknown format: ${result.format}`)
+	}
+
+	return result
+}
+
+/**
+ * @param {Array.<String>} args
+ * @param {Number} i - index of the option value
+ * @param {String} option - option name for error messages
+ * @returns {String}
+ */
+function optionValue(args, i, option) {
+	if (i >= args.length)
+		throw new Error(`Missing value for ${option}`)
+
+	return args[i]
+}
+
+/**
+ * @param {stream.Readable} stdin
+ * @returns {Promise.<String>} - everything read from ${stdin} without a trailing newline
+ */
+function readStdin(stdin) {
+	return new Promise((resolve, reject) => {
+		let text = ''
+		stdin.setEncoding('utf8')
+		stdin.on('data', (chunk) => {
+			text += chunk
+		})
+		stdin.on('end', () => resolve(text.replace(/\r?\n$/, '')))
+		stdin.on('error', reject)
+	})
+}
+
+/**
+ * Loads the configuration for ${environment}. If the configuration is loaded through an entry
+ * module, NODE_ENV is temporarily set to ${environment} and any previously loaded modules from the
+ * entry module's directory are discarded so that each environment is evaluated from scratch.
+ *
+ * @param {String} directory
+ * @param {String} environment
+ * @param {Object} parsed - parsed arguments
+ * @param {Object} io
+ * @returns {Promise.<Object>}
+ */
+function load(directory, environment, parsed, io) {
+	if (!parsed.entry)
+		return loadConfig.async(directory, null, Object.assign({environment}, loadOptions(parsed, io)))
+
+	let entry = path.resolve(io.cwd(), parsed.entry),
+		previousEnvironment = process.env.NODE_ENV
+	process.env.NODE_ENV = environment
+	clearRequireCache(path.dirname(entry))
+
+	let promise = new Promise((resolve) => {
+		resolve(require(entry))
+	})
+
+	let restore = () => {
+		if (typeof previousEnvironment === 'undefined')
+			Reflect.deleteProperty(process.env, 'NODE_ENV')
+		else
+			process.env.NODE_ENV = previousEnvironment
+	}
+
+	return promise.then((config) => {
+		restore()
+		return config
+	}, (error) => {
+		restore()
+		throw error
+	})
+}
+
+/**
+ * @param {Object} parsed - parsed arguments
+ * @param {Object} io
+ * @returns {Object} - loadConfig options
+ */
+function loadOptions(parsed, io) {
+	return {
+		includeRootIndex: parsed.includeRootIndex,
+		recursive: parsed.recursive,
+		decryptionKeyFile: parsed.keyFile ? path.resolve(io.cwd(), parsed.keyFile) : null
+	}
+}
+
+/**
+ * Loads every environment subdirectory of ${directory} (see loadConfig.listEnvironments).
+ *
+ * @param {String} directory
+ * @param {Object} parsed - parsed arguments
+ * @param {Object} io
+ * @param {Function} stdout
+ * @param {Function} stderr
+ * @returns {Promise.<Number>} - exit code
+ */
+function check(directory, parsed, io, stdout, stderr) {
+	let failures = 0
+	return new Promise((resolve) => {
+		resolve(loadConfig.listEnvironments(directory, loadOptions(parsed, io)))
+	})
+	.then((environments) => {
+		return (environments.length ? environments : [io.env.NODE_ENV || 'develop'])
+		.reduce((promise, environment) => {
+			return promise
+			.then(() => load(directory, environment, parsed, io))
+			.then(() => {
+				stdout(`ok ${environment}\n`)
+			}, (error) => {
+				failures++
+				stderr(`not ok ${environment}: ${error.message}\n`)
+			})
+		}, Promise.resolve())
+	})
+	.then(() => (failures ? kExitFailure : kExitSuccess))
+}
+
+/**
+ * Generates the TypeScript declarations and prints them, writes them to --out or, with --check,
+ * compares them with the contents of --out.
+ *
+ * @param {String} directory
+ * @param {String} environment - loaded if ${directory} has no environment subdirectories
+ * @param {Object} parsed - parsed arguments
+ * @param {Object} io
+ * @param {Function} stdout
+ * @param {Function} stderr
+ * @returns {Promise.<Number>} - exit code
+ */
+function types(directory, environment, parsed, io, stdout, stderr) {
+	return new Promise((resolve) => {
+		resolve(loadConfig.generateTypes.async(directory, null, Object.assign({environment}, loadOptions(parsed, io), {
+			schema: parsed.schema ? require(path.resolve(io.cwd(), parsed.schema)) : null,
+			typeName: parsed.typeName
+		})))
+	})
+	.then((declarations) => {
+		if (!parsed.out) {
+			stdout(declarations)
+			return kExitSuccess
+		}
+
+		let out = path.resolve(io.cwd(), parsed.out)
+		if (!parsed.check) {
+			fs.writeFileSync(out, declarations)
+			return kExitSuccess
+		}
+
+		let current = null
+		try {
+			current = fs.readFileSync(out, 'utf8')
+		}
+		catch (error) {
+			if (error.code !== 'ENOENT')
+				throw error
+		}
+		if (current !== declarations) {
+			stderr(`${parsed.out} is ${current === null ? 'missing' : 'out of date'}; run node-config-loader types --out ${parsed.out} to update it\n`)
+			return kExitFailure
+		}
+
+		stdout(`${parsed.out} is up to date\n`)
+		return kExitSuccess
+	})
+}
+
+/**
+ * @param {*} value
+ * @param {String} format - json or yaml
+ * @returns {String}
+ */
+function serialize(value, format) {
+	if (format === 'yaml')
+		return yaml.safeDump(value, {skipInvalid: true})
+
+	return JSON.stringify(value, null, kJsonIndent) + '\n'
+}
+
+/**
+ * @param {String} directory
+ */
+function clearRequireCache(directory) {
+	let prefix = directory + path.sep
+	Object.keys(require.cache)
+	.filter((modulePath) => modulePath.startsWith(prefix))
+	.forEach((modulePath) => Reflect.deleteProperty(require.cache, modulePath))
+}
+
+exports.run = run
+exports.kUsage = kUsage
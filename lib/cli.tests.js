@@ -0,0 +1,411 @@
+/* eslint-disable no-magic-numbers, no-unused-expressions */
+'use strict'
+
+// Core
+const fs = require('fs'),
+	os = require('os'),
+	path = require('path'),
+	stream = require('stream')
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const cli = require('./cli'),
+	configFormats = require('./formats'),
+	configSecrets = require('./secrets')
+
+// Constants
+const kTestRootPath = path.resolve(__dirname, '..', 'test-data')
+
+// --------------------------------------------------------
+/**
+ * Skips the tests of the describe block that calls it with before() if this version of node cannot
+ * import ES modules.
+ *
+ * @returns {Promise}
+ */
+function skipWithoutImport() {
+	return configFormats.supportsImport()
+	.then((supported) => {
+		if (!supported)
+			this.skip() // eslint-disable-line no-invalid-this
+	})
+}
+
+describe('cli', function() {
+	let io = null
+
+	beforeEach(() => {
+		io = {
+			output: '',
+			errors: '',
+			env: {},
+			stdout: {write: (text) => {
+				io.output += text
+			}},
+			stderr: {write: (text) => {
+				io.errors += text
+			}},
+			cwd: () => kTestRootPath
+		}
+	})
+
+	function run(...args) {
+		return cli.run(args, io)
+	}
+
+	describe('usage', function() {
+		it('--help prints usage', function() {
+			return run('--help')
+			.then((exitCode) => {
+				expect(exitCode).equal(0)
+				expect(io.output).equal(cli.kUsage)
+			})
+		})
+
+		it('exits with 2 if the arguments are invalid', function() {
+			let invalidArgs = [
+				[],
+				['unknown'],
+				['print', '--unknown'],
+				['print', '--env'],
+				['print', '--format', 'xml'],
+				['get'],
+				['encrypt', 'hunter2'],
+				['print', 'a', 'b']
+			]
+			return Promise.all(invalidArgs.map((args) => cli.run(args, io)))
+			.then((exitCodes) => {
+				expect(exitCodes).eql(invalidArgs.map(() => 2))
+			})
+		})
+	})
+
+	describe('print', function() {
+		it('prints the configuration as JSON with secrets redacted', function() {
+			return run('print', '--include-root-index', 'database_url')
+			.then((exitCode) => {
+				expect(exitCode).equal(0)
+				expect(JSON.parse(io.output).database).eql({
+					dialect: 'local-a',
+					user: 'local-b',
+					password: '[REDACTED]',
+					host: 'local-d',
+					port: 'local-e',
+					name: 'local-f'
+				})
+			})
+		})
+
+		it('--show-secrets prints secrets and --format yaml prints YAML', function() {
+			return run('print', '--show-secrets', '-f', 'yaml', 'simple.no-index')
+			.then((exitCode) => {
+				expect(exitCode).equal(0)
+				expect(io.output).equal('logging:\n  enabled: false\n')
+			})
+		})
+
+		it('--env loads the given environment and restores NODE_ENV', function() {
+			process.env.NODE_ENV = 'develop'
+			return run('print', '-e', 'staging', '--include-root-index', 'simple.environment')
+			.then((exitCode) => {
+				expect(exitCode).equal(0)
+				expect(JSON.parse(io.output).logging.file).equal('staging')
+				expect(process.env.NODE_ENV).equal('develop')
+				Reflect.deleteProperty(process.env, 'NODE_ENV')
+			})
+		})
+
+		it('--entry loads the configuration from a module', function() {
+			return run('print', '--entry', 'cli.entry/index.js')
+			.then(() => {
+				expect(JSON.parse(io.output)).eql({
+					name: 'cli.entry',
+					logging: {
+						enabled: true
+					}
+				})
+			})
+		})
+
+		it('exits with 1 if the configuration fails to load', function() {
+			return run('print', 'invalid', '--include-root-index')
+			.then((exitCode) => {
+				expect(exitCode).equal(1)
+				expect(io.errors).not.empty
+			})
+		})
+	})
+
+	describe('get', function() {
+		it('prints strings as is', function() {
+			return run('get', 'database.host', '--include-root-index', 'database_url')
+			.then((exitCode) => {
+				expect(exitCode).equal(0)
+				expect(io.output).equal('local-d\n')
+			})
+		})
+
+		it('prints other values as JSON with secrets redacted', function() {
+			return run('get', 'database', '--include-root-index', 'database_url')
+			.then(() => {
+				expect(JSON.parse(io.output).password).equal('[REDACTED]')
+			})
+		})
+
+		it('redacts secret values unless --show-secrets', function() {
+			return run('get', 'database.password', '--include-root-index', 'database_url')
+			.then(() => {
+				expect(io.output).equal('[REDACTED]\n')
+				io.output = ''
+				return run('get', 'database.password', '--include-root-index', '--show-secrets', 'database_url')
+			})
+			.then(() => {
+				expect(io.output).equal('local-c\n')
+			})
+		})
+
+		it('redacts values wrapped with secret() and those of secretPaths', function() {
+			return run('get', 'payments.merchant', 'secrets')
+			.then(() => {
+				expect(io.output).equal('[REDACTED]\n')
+				io.output = ''
+				return run('get', 'payments', 'secrets')
+			})
+			.then(() => {
+				expect(JSON.parse(io.output)).eql({endpoint: 'https://payments.example.com', merchant: '[REDACTED]', webhookToken: '[REDACTED]'})
+			})
+		})
+
+		it('exits with 1 if the key is not defined', function() {
+			return run('get', 'database.missing', 'database_url')
+			.then((exitCode) => {
+				expect(exitCode).equal(1)
+				expect(io.errors).equal('database.missing is not defined\n')
+			})
+		})
+	})
+
+	describe('check', function() {
+		it('loads every environment subdirectory', function() {
+			return run('check', '--include-root-index', 'simple.environment')
+			.then((exitCode) => {
+				expect(exitCode).equal(0)
+				expect(io.output).equal('ok production\nok staging\n')
+			})
+		})
+
+		it('--recursive does not take namespace subdirectories for environments', function() {
+			return run('check', '--recursive', 'recursive')
+			.then((exitCode) => {
+				expect(exitCode).equal(0)
+				expect(io.output).equal('ok production\nok staging\n')
+			})
+		})
+
+		it('exits with 1 if the directory does not exist', function() {
+			return run('check', 'missing')
+			.then((exitCode) => {
+				expect(exitCode).equal(1)
+				expect(io.errors).equal(`${path.join(kTestRootPath, 'missing')} is not a valid directory\n`)
+			})
+		})
+
+		it('exits with 1 if any environment fails to load', function() {
+			return run('check', 'async.reject')
+			.then((exitCode) => {
+				expect(exitCode).equal(1)
+				expect(io.errors).match(/^not ok develop: .*secrets agent unavailable/)
+			})
+		})
+	})
+
+	describe('export', function() {
+		it('prints .env lines and leaves out secrets by default', function() {
+			return run('export', '--include-root-index', '--exclude', 'database.dialect', 'database_url')
+			.then((exitCode) => {
+				expect(exitCode).equal(0)
+				expect(io.errors).equal('Left out the secret database.password (pass --show-secrets to export it)\n')
+				expect(io.output).equal([
+					'DATABASE__USER=local-b',
+					'DATABASE__HOST=local-d',
+					'DATABASE__PORT=local-e',
+					'DATABASE__NAME=local-f',
+					''
+				].join('\n'))
+			})
+		})
+
+		it('supports shell lines, include, rename, prefix and --show-secrets', function() {
+			return run('export', '-f', 'shell', '--include-root-index', '--include', 'database.password', '--include', 'database.host',
+				'--rename', 'database.host=PGHOST', '--prefix', 'APP', '--delimiter', '_', '--show-secrets', 'database_url')
+			.then((exitCode) => {
+				expect(exitCode).equal(0)
+				expect(io.output).equal('export APP_DATABASE_PASSWORD=\'local-c\'\nexport PGHOST=\'local-d\'\n')
+			})
+		})
+
+		it('exits with 2 if the format or a rename is invalid', function() {
+			return Promise.all([
+				run('export', '--format', 'xml'),
+				run('print', '--format', 'env'),
+				run('export', '--rename', 'database')
+			])
+			.then((exitCodes) => {
+				expect(exitCodes).eql([2, 2, 2])
+			})
+		})
+	})
+
+	describe('encrypt', function() {
+		function input(text) {
+			io.stdin = new stream.PassThrough()
+			io.stdin.end(text)
+		}
+
+		it('prints the value read from stdin encrypted with the decryption key', function() {
+			io.env.CONFIG_DECRYPTION_KEY = 'test-key'
+			input('hunter2\n')
+			return run('encrypt')
+			.then((exitCode) => {
+				expect(exitCode).equal(0)
+				expect(configSecrets.decrypt(io.output.trim(), 'test-key')).equal('hunter2')
+			})
+		})
+
+		it('--key-file reads the key from a file', function() {
+			input('hunter2')
+			return run('encrypt', '--key-file', path.join('secrets.encrypted', '.decryption-key'))
+			.then((exitCode) => {
+				expect(exitCode).equal(0)
+				expect(configSecrets.decrypt(io.output.trim(), 'test-key')).equal('hunter2')
+			})
+		})
+
+		it('exits with 1 if there is no key or value', function() {
+			input('hunter2')
+			return run('encrypt')
+			.then((exitCode) => {
+				expect(exitCode).equal(1)
+				expect(io.errors).match(/^No encryption key/)
+
+				io.env.CONFIG_DECRYPTION_KEY = 'test-key'
+				io.errors = ''
+				input('')
+				return run('encrypt')
+			})
+			.then((exitCode) => {
+				expect(exitCode).equal(1)
+				expect(io.errors).match(/^No value to encrypt/)
+			})
+		})
+	})
+
+	describe('report', function() {
+		it('prints the report and exits with 1 if any keys are missing', function() {
+			return run('report', 'environments.report')
+			.then((exitCode) => {
+				let report = JSON.parse(io.output)
+				expect(exitCode).equal(1)
+				expect(report.environments).eql(['production', 'staging'])
+				expect(report.missing.map((missing) => missing.keyPath)).eql(['database.pool', 'logging.level'])
+				expect(io.output).not.match(/staging-password/)
+			})
+		})
+
+		it('exits with 0 if every environment defines the same keys', function() {
+			return run('report', '--format', 'yaml', '--include-root-index', 'simple.environment')
+			.then((exitCode) => {
+				expect(exitCode).equal(0)
+				expect(io.output.startsWith('environments:\n  - production\n  - staging\ncomplete: true\n')).true
+			})
+		})
+
+		describe('ES modules', function() {
+			before(skipWithoutImport)
+
+			it('loads ES modules', function() {
+				return run('report', '--include-root-index', 'modules')
+				.then((exitCode) => {
+					expect(io.errors).equal('')
+					expect(exitCode).equal(0)
+					expect(JSON.parse(io.output).environments).eql(['production'])
+				})
+			})
+		})
+	})
+
+	describe('types', function() {
+		let out = path.join(os.tmpdir(), `node-config-loader-${process.pid}.d.ts`)
+
+		afterEach(() => {
+			if (fs.existsSync(out))
+				fs.unlinkSync(out)
+		})
+
+		it('prints the declarations', function() {
+			return run('types', 'environments.report')
+			.then((exitCode) => {
+				expect(exitCode).equal(0)
+				expect(io.output).match(/^interface Config \{$/m)
+				expect(io.output).match(/^\t\tport: number \| string$/m)
+				expect(io.output).match(/^\tlogging\?: \{$/m)
+			})
+		})
+
+		describe('ES modules', function() {
+			before(skipWithoutImport)
+
+			it('loads ES modules', function() {
+				return run('types', '--include-root-index', 'modules')
+				.then((exitCode) => {
+					expect(io.errors).equal('')
+					expect(exitCode).equal(0)
+					expect(io.output).match(/^\tname: string$/m)
+				})
+			})
+		})
+
+		it('--schema and --type-name declare the types of a schema', function() {
+			return run('types', '--schema', path.join('types', 'schema.js'), '--type-name', 'AppConfig', 'environments.report')
+			.then((exitCode) => {
+				expect(exitCode).equal(0)
+				expect(io.output).match(/^interface AppConfig \{\n\tdatabase\?: \{\n\t\thost: string\n\t\tport: number\n\t\}\n\}$/m)
+			})
+		})
+
+		it('--check exits with 1 if the declarations are missing or out of date', function() {
+			return run('types', '--out', out, '--check', 'environments.report')
+			.then((exitCode) => {
+				expect(exitCode).equal(1)
+				expect(io.errors).equal(`${out} is missing; run node-config-loader types --out ${out} to update it\n`)
+				return run('types', '--out', out, 'environments.report')
+			})
+			.then((exitCode) => {
+				expect(exitCode).equal(0)
+				expect(fs.readFileSync(out, 'utf8')).match(/^declare const config: Config$/m)
+				return run('types', '--out', out, '--check', 'environments.report')
+			})
+			.then((exitCode) => {
+				expect(exitCode).equal(0)
+				expect(io.output).equal(`${out} is up to date\n`)
+				fs.appendFileSync(out, '// edited\n')
+				io.errors = ''
+				return run('types', '--out', out, '--check', 'environments.report')
+			})
+			.then((exitCode) => {
+				expect(exitCode).equal(1)
+				expect(io.errors).match(/is out of date/)
+			})
+		})
+
+		it('--check requires --out', function() {
+			return run('types', '--check')
+			.then((exitCode) => {
+				expect(exitCode).equal(2)
+				expect(io.errors).match(/^--check requires --out/)
+			})
+		})
+	})
+})
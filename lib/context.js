@@ -0,0 +1,112 @@
+'use strict'
+
+// Core
+const path = require('path')
+
+// Proxies of read only values, keyed by value, so that each value always has the same Proxy
+const readOnlyProxies = new WeakMap()
+
+/**
+ * Creates the context that function configuration modules are called with, e.g.
+ *
+ *   module.exports = (context) => ({
+ *       file: context.resolve('..', 'logs', `${context.get('name', 'app')}.log`),
+ *       pool: context.isEnv('production') ? 20 : 2
+ *   })
+ *
+ * @param {Object} options
+ * @param {String} options.env - name of the environment being loaded
+ * @param {Array.<String>} options.environments - names of the environment directories being loaded (see lib/environments.js)
+ * @param {String} options.configDirectory
+ * @param {String} options.configFile - absolute path of the module being called; null for providers
+ * @param {Object} options.config - configuration merged so far
+ * @param {Object} options.processEnv - environment variables
+ * @returns {Object} - {env, environments, configDirectory, configFile, config, processEnv, get(keyPath[, defaultValue]), isEnv(...names), resolve(...paths)}; ${config} is read only
+ */
+function createContext(options) {
+	let config = readOnly(options.config)
+
+	return {
+		env: options.env,
+		environments: options.environments.slice(),
+		configDirectory: options.configDirectory,
+		configFile: options.configFile,
+		config,
+		processEnv: options.processEnv,
+
+		/**
+		 * @param {String} keyPath - dotted key path (e.g. 'database.host')
+		 * @param {*} [defaultValue = null]
+		 * @returns {*} - value merged so far at ${keyPath}; ${defaultValue} if there is none
+		 */
+		get(keyPath, defaultValue = null) {
+			let value = config
+			for (let key of keyPath.split('.')) {
+				if (!value || typeof value !== 'object' || !Reflect.getOwnPropertyDescriptor(value, key))
+					return defaultValue
+				value = value[key]
+			}
+			return value
+		},
+
+		/**
+		 * @param {...String} names
+		 * @returns {Boolean} - true if the environment being loaded (or one that it extends) is one of ${names}
+		 */
+		isEnv(...names) {
+			return options.environments.some((name) => names.includes(name))
+		},
+
+		/**
+		 * @param {...String} paths
+		 * @returns {String} - ${paths} resolved relative to the config directory
+		 */
+		resolve(...paths) {
+			return path.resolve(options.configDirectory, ...paths)
+		}
+	}
+}
+
+/**
+ * @param {*} value
+ * @returns {*} - Proxy of ${value} (and any plain objects or arrays within it) that throws an error on any modification; any other value as is
+ */
+function readOnly(value) {
+	if (!isPlainContainer(value))
+		return value
+	if (readOnlyProxies.has(value))
+		return readOnlyProxies.get(value)
+
+	let fail = (target, property) => {
+			throw new TypeError(`Cannot modify ${String(property)}: the configuration passed to function modules is read only`)
+		},
+		proxy = new Proxy(value, {
+			get: (target, property, receiver) => readOnly(Reflect.get(target, property, receiver)),
+			set: fail,
+			defineProperty: fail,
+			deleteProperty: fail,
+			setPrototypeOf: fail
+		})
+	readOnlyProxies.set(value, proxy)
+	return proxy
+}
+
+// --------------------------------------------------------
+/**
+ * Class instances (e.g. secrets) are not wrapped so that their methods keep working.
+ *
+ * @param {*} value
+ * @returns {Boolean}
+ */
+function isPlainContainer(value) {
+	if (Array.isArray(value))
+		return true
+	if (!value || typeof value !== 'object')
+		return false
+
+	let prototype = Reflect.getPrototypeOf(value)
+	return prototype === Object.prototype || prototype === null
+}
+
+exports.createContext = createContext
+exports.readOnly = readOnly
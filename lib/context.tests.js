@@ -0,0 +1,83 @@
+/* eslint-disable no-magic-numbers, no-unused-expressions */
+'use strict'
+
+// Core
+const path = require('path')
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const configContext = require('./context'),
+	configRedact = require('./redact')
+
+// --------------------------------------------------------
+describe('context', function() {
+	describe('createContext', function() {
+		let config = {name: 'my-app', database: {host: 'localhost', port: 0}},
+			context = configContext.createContext({
+				env: 'staging',
+				environments: ['production', 'staging'],
+				configDirectory: '/app/config',
+				configFile: '/app/config/logging.js',
+				config,
+				processEnv: {PORT: '3000'}
+			})
+
+		it('exposes the environment, directories and environment variables', function() {
+			expect(context.env).equal('staging')
+			expect(context.environments).eql(['production', 'staging'])
+			expect(context.configDirectory).equal('/app/config')
+			expect(context.configFile).equal('/app/config/logging.js')
+			expect(context.processEnv.PORT).equal('3000')
+		})
+
+		it('get returns the value merged so far or the default value', function() {
+			expect(context.get('database.host')).equal('localhost')
+			expect(context.get('database.port', 5432)).equal(0)
+			expect(context.get('database.user', 'admin')).equal('admin')
+			expect(context.get('name.length')).null
+		})
+
+		it('isEnv is true for the environment and any environment it extends', function() {
+			expect(context.isEnv('staging')).true
+			expect(context.isEnv('develop', 'production')).true
+			expect(context.isEnv('develop')).false
+		})
+
+		it('resolve resolves paths relative to the config directory', function() {
+			expect(context.resolve('..', 'logs')).equal(path.resolve('/app/logs'))
+		})
+
+		it('config is a read only view of the configuration', function() {
+			expect(context.config.database.host).equal('localhost')
+			expect(() => {
+				context.config.database.host = 'other'
+			}).throw(TypeError, /read only/)
+			expect(() => Reflect.deleteProperty(context.config, 'name')).throw(TypeError)
+			expect(config.database.host).equal('localhost')
+		})
+	})
+
+	describe('readOnly', function() {
+		it('returns primitives and class instances as is', function() {
+			let secret = configRedact.secret('hunter2')
+			expect(configContext.readOnly(1)).equal(1)
+			expect(configContext.readOnly(secret)).equal(secret)
+			expect(configContext.readOnly({secret}).secret.reveal()).equal('hunter2')
+		})
+
+		it('returns the same Proxy for the same value', function() {
+			let value = {a: {b: 1}},
+				proxy = configContext.readOnly(value)
+			expect(proxy.a).equal(proxy.a)
+			expect(configContext.readOnly(value)).equal(proxy)
+		})
+
+		it('prevents modifying arrays', function() {
+			let proxy = configContext.readOnly({hosts: ['a']})
+			expect(() => proxy.hosts.push('b')).throw(TypeError)
+			expect(proxy.hosts.map((host) => host.toUpperCase())).eql(['A'])
+		})
+	})
+})
@@ -0,0 +1,57 @@
+'use strict'
+
+// Local
+const configUtils = require('./utils')
+
+/**
+ * Compares two configurations key by key. Plain objects are compared recursively; any other
+ * value (including arrays) is compared as a whole.
+ *
+ * @param {Object} oldConfig
+ * @param {Object} newConfig
+ * @returns {Array.<Object>} - [{keyPath: String, type: 'added'|'removed'|'changed', oldValue, newValue}, ...] sorted by keyPath
+ */
+function diffConfig(oldConfig, newConfig) {
+	let result = []
+	diffValues(oldConfig, newConfig, [], result)
+	return result.sort((a, b) => compareStrings(a.keyPath, b.keyPath))
+}
+
+// --------------------------------------------------------
+/**
+ * @param {*} oldValue
+ * @param {*} newValue
+ * @param {Array.<String>} keyPath
+ * @param {Array.<Object>} result - differences are appended to this array
+ */
+function diffValues(oldValue, newValue, keyPath, result) {
+	if (configUtils.isPlainObject(oldValue) && configUtils.isPlainObject(newValue)) {
+		let keys = new Set(Object.keys(oldValue).concat(Object.keys(newValue)))
+		keys.forEach((key) => {
+			let childKeyPath = keyPath.concat(key)
+			if (!Reflect.has(newValue, key))
+				result.push({keyPath: childKeyPath.join('.'), type: 'removed', oldValue: oldValue[key], newValue: null})
+			else if (!Reflect.has(oldValue, key))
+				result.push({keyPath: childKeyPath.join('.'), type: 'added', oldValue: null, newValue: newValue[key]})
+			else
+				diffValues(oldValue[key], newValue[key], childKeyPath, result)
+		})
+		return
+	}
+
+	if (!configUtils.isEqual(oldValue, newValue))
+		result.push({keyPath: keyPath.join('.'), type: 'changed', oldValue, newValue})
+}
+
+/**
+ * @param {String} a
+ * @param {String} b
+ * @returns {Number}
+ */
+function compareStrings(a, b) {
+	if (a < b)
+		return -1
+	return a > b ? 1 : 0
+}
+
+exports.diffConfig = diffConfig
@@ -0,0 +1,42 @@
+/* eslint-disable no-magic-numbers, no-unused-expressions */
+'use strict'
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const configDiff = require('./diff')
+
+// --------------------------------------------------------
+describe('diff', function() {
+	describe('diffConfig', function() {
+		it('returns empty array if equal', function() {
+			expect(configDiff.diffConfig({a: {b: [1, {c: 2}]}}, {a: {b: [1, {c: 2}]}})).eql([])
+		})
+
+		it('reports added, removed and changed leaves sorted by key path', function() {
+			let oldConfig = {
+					logging: {level: 'info', file: 'app.log'},
+					hosts: ['a'],
+					email: false
+				},
+				newConfig = {
+					logging: {level: 'debug'},
+					hosts: ['a', 'b'],
+					email: {enabled: true}
+				}
+			expect(configDiff.diffConfig(oldConfig, newConfig)).eql([
+				{keyPath: 'email', type: 'changed', oldValue: false, newValue: {enabled: true}},
+				{keyPath: 'hosts', type: 'changed', oldValue: ['a'], newValue: ['a', 'b']},
+				{keyPath: 'logging.file', type: 'removed', oldValue: 'app.log', newValue: null},
+				{keyPath: 'logging.level', type: 'changed', oldValue: 'info', newValue: 'debug'}
+			])
+		})
+
+		it('reports added subtrees as a whole', function() {
+			expect(configDiff.diffConfig({}, {email: {enabled: true}})).eql([
+				{keyPath: 'email', type: 'added', oldValue: null, newValue: {enabled: true}}
+			])
+		})
+	})
+})
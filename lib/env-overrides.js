@@ -0,0 +1,217 @@
+'use strict'
+
+// Local
+const configUtils = require('./utils')
+
+// Constants
+const kDefaultDelimiter = '__',
+	kArrayIndex = /^(0|[1-9][0-9]*)$/,
+	kDefaultKeyCase = 'lower',
+	kKeyCases = ['lower', 'camel', 'preserve'],
+	kFormats = ['auto', 'string', 'number', 'boolean', 'json']
+
+/**
+ * Collects the configuration overrides defined by environment variables. Two sources are
+ * supported:
+ *
+ * 1. An explicit mapping object whose structure mirrors the configuration and whose leaves are
+ *    environment variable names (or {__name, __format} objects). For example:
+ *    {database: {password: 'PGPASSWORD', pool: {__name: 'POOL', __format: 'json'}}}
+ * 2. Variables following the ${prefix}${delimiter}KEY${delimiter}SUBKEY naming convention. For
+ *    example, MYAPP__LOGGING__LEVEL=debug sets logging.level to 'debug'.
+ *
+ * Mapped variables are returned first so that convention-based variables take precedence.
+ *
+ * @param {Object} env - environment variables (e.g. process.env)
+ * @param {Object} [options = {}]
+ * @param {String} [options.prefix = null] - convention-based variables are only considered if this is set
+ * @param {String} [options.delimiter = '__'] - separates the prefix and each key in the variable name
+ * @param {String|Function} [options.keyCase = 'lower'] - 'lower', 'camel', 'preserve' or function(segment) that returns the config key
+ * @param {Boolean} [options.coerce = true] - if true, convert values to numbers, booleans, null, arrays and objects where possible
+ * @param {Object} [options.mapping = null] - explicit variable mapping
+ * @returns {Array.<Object>} - [{keyPath: Array.<String>, value, variable: String}, ...]
+ */
+function collectOverrides(env, options = {}) {
+	let delimiter = options.delimiter || kDefaultDelimiter,
+		keyCase = options.keyCase || kDefaultKeyCase,
+		coerce = options.coerce !== false,
+		result = []
+
+	if (typeof keyCase !== 'function' && !kKeyCases.includes(keyCase))
+		throw new Error(`Invalid environment variable key case: ${keyCase}`)
+
+	if (options.mapping)
+		collectMappedOverrides(env, options.mapping, [], coerce, result)
+
+	if (options.prefix) {
+		let fullPrefix = options.prefix + delimiter
+		Object.keys(env)
+		.filter((variable) => variable.startsWith(fullPrefix) && variable.length > fullPrefix.length)
+		.sort()
+		.forEach((variable) => {
+			let segments = variable.substr(fullPrefix.length).split(delimiter)
+			if (segments.some((segment) => !segment))
+				return
+
+			result.push({
+				keyPath: segments.map((segment) => convertCase(segment, keyCase)),
+				value: coerce ? coerceValue(env[variable]) : env[variable],
+				variable
+			})
+		})
+	}
+
+	return result
+}
+
+/**
+ * Sets the value of every override in ${config}, replacing any intermediate value that is neither
+ * an object nor an array with an object. Arrays are indexed into (e.g. MYAPP__SERVERS__0__HOST sets
+ * the host of the first server), so a key below an array must be the index of an existing item or
+ * the next one.
+ *
+ * @param {Object} config
+ * @param {Array.<Object>} overrides - as returned by collectOverrides
+ * @returns {Object} - ${config}
+ * @throws {Error} - if a key below an array is not a valid index
+ */
+function applyOverrides(config, overrides) {
+	overrides
+	.filter((override) => !override.keyPath.some(configUtils.isUnsafeKey))
+	.forEach((override) => {
+		let target = config
+		override.keyPath.forEach((key, i) => {
+			if (Array.isArray(target) && !(kArrayIndex.test(key) && Number(key) <= target.length)) {
+				let arrayKeyPath = override.keyPath.slice(0, i).join('.')
+				throw new Error(`Invalid environment variable, ${override.variable}: ${arrayKeyPath} is an array, so ${key} must be an index from 0 to ${target.length}`)
+			}
+			if (i === override.keyPath.length - 1)
+				target[key] = override.value
+			else if (!configUtils.isPlainObject(target[key]) && !Array.isArray(target[key]))
+				target[key] = {}
+			target = target[key]
+		})
+	})
+
+	return config
+}
+
+/**
+ * @param {String} value
+ * @param {String} [format = 'auto'] - 'auto', 'string', 'number', 'boolean' or 'json'
+ * @returns {*} - ${value} converted according to ${format}; 'auto' converts numbers, booleans, null and JSON arrays / objects and leaves anything else as is; numbers are only converted if they are written the way JavaScript writes them and lose no precision, so that zip codes ('01234'), account numbers and other identifiers remain strings
+ */
+function coerceValue(value, format = 'auto') {
+	switch (format) {
+		case 'string':
+			return value
+		case 'number':
+			if (!isNumeric(value))
+				throw new Error(`${value} is not a valid number`)
+			return Number(value)
+		case 'boolean':
+			if (value !== 'true' && value !== 'false')
+				throw new Error(`${value} is not a valid boolean`)
+			return value === 'true'
+		case 'json':
+			return JSON.parse(value)
+	}
+
+	if (value === 'true' || value === 'false')
+		return value === 'true'
+	if (value === 'null')
+		return null
+	if (isCanonicalNumber(value))
+		return Number(value)
+	if (/^\s*[[{]/.test(value)) {
+		try {
+			return JSON.parse(value)
+		}
+		catch (error) {
+			// Noop - not JSON, leave as a string
+		}
+	}
+
+	return value
+}
+
+// --------------------------------------------------------
+/**
+ * @param {Object} env
+ * @param {Object} mapping
+ * @param {Array.<String>} keyPath - key path of ${mapping}
+ * @param {Boolean} coerce
+ * @param {Array.<Object>} result - overrides are appended to this array
+ */
+function collectMappedOverrides(env, mapping, keyPath, coerce, result) {
+	Object.keys(mapping).forEach((key) => {
+		let entry = mapping[key],
+			entryKeyPath = keyPath.concat(key)
+		if (configUtils.isPlainObject(entry) && !entry.__name) {
+			collectMappedOverrides(env, entry, entryKeyPath, coerce, result)
+			return
+		}
+
+		let variable = configUtils.isPlainObject(entry) ? entry.__name : entry,
+			format = configUtils.isPlainObject(entry) && entry.__format ? entry.__format : 'auto'
+		if (typeof variable !== 'string')
+			throw new Error(`Invalid environment variable mapping for ${entryKeyPath.join('.')}`)
+		if (!kFormats.includes(format))
+			throw new Error(`Invalid environment variable format for ${entryKeyPath.join('.')}: ${format}`)
+		if (!Reflect.has(env, variable))
+			return
+
+		let value = env[variable]
+		if (format !== 'auto' || coerce) {
+			try {
+				value = coerceValue(value, format)
+			}
+			catch (error) {
+				throw new Error(`Invalid value for environment variable, ${variable}: ${error.message}`)
+			}
+		}
+
+		result.push({keyPath: entryKeyPath, value, variable})
+	})
+}
+
+/**
+ * @param {String} segment - key segment of an environment variable name (e.g. MAX_POOL_SIZE)
+ * @param {String|Function} keyCase
+ * @returns {String} - configuration key (e.g. max_pool_size, maxPoolSize)
+ */
+function convertCase(segment, keyCase) {
+	if (typeof keyCase === 'function')
+		return keyCase(segment)
+
+	switch (keyCase) {
+		case 'camel':
+			return segment.toLowerCase().replace(/_+([a-z0-9])/g, (match, character) => character.toUpperCase())
+		case 'preserve':
+			return segment
+		default:
+			return segment.toLowerCase()
+	}
+}
+
+/**
+ * @param {String} value
+ * @returns {Boolean}
+ */
+function isNumeric(value) {
+	return /^-?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(value)
+}
+
+/**
+ * @param {String} value
+ * @returns {Boolean} - true if ${value} is a safe integer or finite decimal that String(Number(${value})) returns as is (e.g. '42' or '-1.5', but not '01234', '1.0', '1e3' or '12345678901234567890')
+ */
+function isCanonicalNumber(value) {
+	let number = Number(value)
+	return isNumeric(value) && isFinite(number) && String(number) === value && (!Number.isInteger(number) || Number.isSafeInteger(number))
+}
+
+exports.kDefaultDelimiter = kDefaultDelimiter
+exports.collectOverrides = collectOverrides
+exports.applyOverrides = applyOverrides
+exports.coerceValue = coerceValue
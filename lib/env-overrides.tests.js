@@ -0,0 +1,181 @@
+/* eslint-disable no-magic-numbers, no-unused-expressions */
+'use strict'
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const envOverrides = require('./env-overrides')
+
+// --------------------------------------------------------
+describe('env-overrides', function() {
+	describe('collectOverrides', function() {
+		it('returns empty array if neither prefix nor mapping are provided', function() {
+			expect(envOverrides.collectOverrides({APP__A: '1'})).eql([])
+		})
+
+		it('maps prefixed, delimited variables to key paths', function() {
+			let result = envOverrides.collectOverrides({
+				APP__LOGGING__LEVEL: 'debug',
+				APP_OTHER: 'ignored',
+				OTHER__LOGGING__LEVEL: 'ignored'
+			}, {prefix: 'APP'})
+			expect(result).eql([
+				{keyPath: ['logging', 'level'], value: 'debug', variable: 'APP__LOGGING__LEVEL'}
+			])
+		})
+
+		it('skips variables with empty key segments', function() {
+			expect(envOverrides.collectOverrides({APP__A____B: '1'}, {prefix: 'APP'})).eql([])
+		})
+
+		it('supports custom delimiters', function() {
+			let result = envOverrides.collectOverrides({'APP.server.port': '80'}, {prefix: 'APP', delimiter: '.'})
+			expect(result[0].keyPath).eql(['server', 'port'])
+		})
+
+		it('converts key case', function() {
+			let env = {APP__MAX_POOL_SIZE: '1'}
+			expect(envOverrides.collectOverrides(env, {prefix: 'APP'})[0].keyPath).eql(['max_pool_size'])
+			expect(envOverrides.collectOverrides(env, {prefix: 'APP', keyCase: 'camel'})[0].keyPath).eql(['maxPoolSize'])
+			expect(envOverrides.collectOverrides(env, {prefix: 'APP', keyCase: 'preserve'})[0].keyPath).eql(['MAX_POOL_SIZE'])
+			expect(envOverrides.collectOverrides(env, {prefix: 'APP', keyCase: (segment) => segment.length})[0].keyPath).eql([13])
+		})
+
+		it('throws error if invalid key case', function() {
+			expect(function() {
+				envOverrides.collectOverrides({}, {prefix: 'APP', keyCase: 'upper'})
+			}).throw(Error)
+		})
+
+		it('coerce = false leaves values as strings', function() {
+			let result = envOverrides.collectOverrides({APP__PORT: '80'}, {prefix: 'APP', coerce: false})
+			expect(result[0].value).equal('80')
+		})
+
+		it('mapped variables precede prefixed variables', function() {
+			let result = envOverrides.collectOverrides({
+				APP__DATABASE__USER: 'prefixed',
+				PGUSER: 'mapped'
+			}, {
+				prefix: 'APP',
+				mapping: {
+					database: {
+						user: 'PGUSER'
+					}
+				}
+			})
+			expect(result.map((override) => override.variable)).eql(['PGUSER', 'APP__DATABASE__USER'])
+		})
+
+		it('mapped variables that are not defined are skipped', function() {
+			expect(envOverrides.collectOverrides({}, {mapping: {a: 'MISSING'}})).eql([])
+		})
+
+		it('mapped variables with an explicit format', function() {
+			let result = envOverrides.collectOverrides({PORT: '80', HOSTS: '["a"]'}, {
+				coerce: false,
+				mapping: {
+					port: {__name: 'PORT', __format: 'number'},
+					hosts: {__name: 'HOSTS', __format: 'json'}
+				}
+			})
+			expect(result.map((override) => override.value)).eql([80, ['a']])
+		})
+
+		it('throws error naming the variable if a mapped value does not match its format', function() {
+			expect(function() {
+				envOverrides.collectOverrides({PORT: 'eighty'}, {mapping: {port: {__name: 'PORT', __format: 'number'}}})
+			}).throw(Error, /PORT/)
+		})
+
+		it('throws error if invalid mapping entry', function() {
+			expect(function() {
+				envOverrides.collectOverrides({}, {mapping: {port: 80}})
+			}).throw(Error, /port/)
+		})
+	})
+
+	describe('applyOverrides', function() {
+		it('sets nested values and replaces non-object intermediates', function() {
+			let config = {
+				logging: false,
+				database: {
+					host: 'a'
+				}
+			}
+			envOverrides.applyOverrides(config, [
+				{keyPath: ['logging', 'level'], value: 'debug'},
+				{keyPath: ['database', 'port'], value: 5432}
+			])
+			expect(config).eql({
+				logging: {
+					level: 'debug'
+				},
+				database: {
+					host: 'a',
+					port: 5432
+				}
+			})
+		})
+
+		it('indexes into arrays', function() {
+			let config = {servers: [{host: 'a', port: 1}], tags: ['a']}
+			envOverrides.applyOverrides(config, [
+				{keyPath: ['servers', '0', 'host'], value: 'x'},
+				{keyPath: ['servers', '1', 'host'], value: 'y'},
+				{keyPath: ['tags', '0'], value: 'b'}
+			])
+			expect(config).eql({servers: [{host: 'x', port: 1}, {host: 'y'}], tags: ['b']})
+		})
+
+		it('throws if a key below an array is not a valid index', function() {
+			let apply = (keyPath) => envOverrides.applyOverrides({servers: [{host: 'a'}]}, [{keyPath, value: 'x', variable: 'MYAPP__SERVERS'}])
+			expect(() => apply(['servers', 'host'])).throw(Error, 'Invalid environment variable, MYAPP__SERVERS: servers is an array, so host must be an index from 0 to 1')
+			expect(() => apply(['servers', '2', 'host'])).throw(Error, /so 2 must be an index/)
+			expect(() => apply(['servers', '01'])).throw(Error, /so 01 must be an index/)
+		})
+
+		it('ignores key paths with unsafe keys', function() {
+			let config = {}
+			envOverrides.applyOverrides(config, [{keyPath: ['__proto__', 'polluted'], value: 'yes'}])
+			expect(Object.prototype).not.property('polluted')
+			expect(config).eql({})
+		})
+	})
+
+	describe('coerceValue', function() {
+		it('auto converts booleans, null, numbers and JSON', function() {
+			expect(envOverrides.coerceValue('true')).true
+			expect(envOverrides.coerceValue('false')).false
+			expect(envOverrides.coerceValue('null')).null
+			expect(envOverrides.coerceValue('-1.5')).equal(-1.5)
+			expect(envOverrides.coerceValue('42')).equal(42)
+			expect(envOverrides.coerceValue('0')).equal(0)
+			expect(envOverrides.coerceValue('[1, "a"]')).eql([1, 'a'])
+			expect(envOverrides.coerceValue('{"a": 1}')).eql({a: 1})
+		})
+
+		it('leaves anything else as a string', function() {
+			expect(envOverrides.coerceValue('debug')).equal('debug')
+			expect(envOverrides.coerceValue('[not json')).equal('[not json')
+			expect(envOverrides.coerceValue('1.2.3')).equal('1.2.3')
+		})
+
+		it('only converts numbers that are written canonically and lose no precision', function() {
+			expect(envOverrides.coerceValue('01234')).equal('01234')
+			expect(envOverrides.coerceValue('1.0')).equal('1.0')
+			expect(envOverrides.coerceValue('1e3')).equal('1e3')
+			expect(envOverrides.coerceValue('-0')).equal('-0')
+			expect(envOverrides.coerceValue('12345678901234567890')).equal('12345678901234567890')
+			expect(envOverrides.coerceValue('9007199254740993')).equal('9007199254740993')
+			expect(envOverrides.coerceValue('01234', 'number')).equal(1234)
+		})
+
+		it('throws error if value does not match an explicit format', function() {
+			expect(() => envOverrides.coerceValue('abc', 'number')).throw(Error)
+			expect(() => envOverrides.coerceValue('yes', 'boolean')).throw(Error)
+			expect(() => envOverrides.coerceValue('{', 'json')).throw(Error)
+		})
+	})
+})
@@ -0,0 +1,162 @@
+'use strict'
+
+// Core
+const fs = require('fs'),
+	path = require('path')
+
+// Local
+const configUtils = require('./utils')
+
+// Constants
+const kManifestFileName = '.environments.json',
+	kMarkerFileName = '.extends'
+
+/**
+ * Determines which environment directories to load for ${environment}. An environment may extend
+ * (i.e. load the configuration of) a parent environment, which is declared either in the manifest,
+ * ${configDirectory}/.environments.json:
+ *
+ *   {"staging": {"extends": "production"}, "qa": {"extends": "develop"}}
+ *
+ * or by a marker file, ${configDirectory}/${environment}/.extends, that contains the name of the
+ * parent. Parents may extend other environments in turn.
+ *
+ * @param {String} configDirectory
+ * @param {String} environment
+ * @param {Object} [fileSystem = fs] - file system to read ${configDirectory} from (see the fileSystem option of loadConfig)
+ * @returns {Array.<String>} - names of the ancestors of ${environment}, most distant first, followed by ${environment}
+ * @throws {Error} - if a parent directory does not exist, the chain contains a cycle, or the manifest and a marker file disagree
+ */
+function resolveEnvironments(configDirectory, environment, fileSystem = fs) {
+	let manifest = readManifest(configDirectory, fileSystem),
+		chain = [environment],
+		parent = findParent(configDirectory, environment, manifest, fileSystem)
+	while (parent) {
+		let child = chain[chain.length - 1]
+		if (chain.includes(parent))
+			throw new Error(`Environment inheritance cycle: ${chain.concat(parent).join(' -> ')}`)
+		if (!configUtils.isDirectory(path.resolve(configDirectory, parent), fileSystem))
+			throw new Error(`Environment ${child} extends ${parent}, but ${path.resolve(configDirectory, parent)} does not exist`)
+
+		chain.push(parent)
+		parent = findParent(configDirectory, parent, manifest, fileSystem)
+	}
+
+	return chain.reverse()
+}
+
+/**
+ * @param {String} configDirectory
+ * @param {Object} [fileSystem = fs]
+ * @returns {Object} - {environment: {extends}, ...} as declared in ${configDirectory}/.environments.json; {} if there is no manifest
+ */
+function readManifest(configDirectory, fileSystem = fs) {
+	let manifestFile = path.resolve(configDirectory, kManifestFileName),
+		contents = readOptionalFile(manifestFile, fileSystem)
+	if (contents === null)
+		return {}
+
+	let manifest = null
+	try {
+		manifest = JSON.parse(contents)
+	}
+	catch (error) {
+		throw new Error(`Unable to parse ${manifestFile}: ${error.message}`)
+	}
+	if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest))
+		throw new Error(`${manifestFile} must contain an object`)
+
+	Object.keys(manifest).forEach((environment) => {
+		let declaration = manifest[environment]
+		if (!declaration || typeof declaration !== 'object' || (Reflect.has(declaration, 'extends') && typeof declaration.extends !== 'string'))
+			throw new Error(`${manifestFile}: ${environment} must be an object with an optional extends string`)
+	})
+
+	return manifest
+}
+
+/**
+ * @param {String} configDirectory
+ * @param {Object} [fileSystem = fs]
+ * @returns {Array.<String>} - names of every environment declared in the manifest (either extending or extended) or by a marker file in ${configDirectory}
+ */
+function declaredEnvironments(configDirectory, fileSystem = fs) {
+	let manifest = readManifest(configDirectory, fileSystem),
+		result = new Set()
+	Object.keys(manifest).forEach((environment) => {
+		result.add(environment)
+		if (manifest[environment].extends)
+			result.add(manifest[environment].extends)
+	})
+	fileSystem.readdirSync(configDirectory)
+	.forEach((fileName) => {
+		let marker = readOptionalFile(path.resolve(configDirectory, fileName, kMarkerFileName), fileSystem)
+		if (marker === null)
+			return
+
+		result.add(fileName)
+		if (marker.trim())
+			result.add(marker.trim())
+	})
+
+	return Array.from(result)
+}
+
+/**
+ * @param {String} configDirectory
+ * @param {Object} [options = {}]
+ * @param {Array.<String>} [options.exclude = ['local']] - names of subdirectories that are not environments
+ * @param {Array.<String>} [options.include = null] - if set, only these names (and those of declared environments, see declaredEnvironments) are environments
+ * @param {Object} [options.fileSystem = fs]
+ * @returns {Array.<String>} - sorted names of the environment subdirectories of ${configDirectory}; hidden directories are never environments
+ */
+function listEnvironments(configDirectory, options = {}) {
+	let exclude = options.exclude || ['local'],
+		fileSystem = options.fileSystem || fs,
+		include = options.include ? options.include.concat(declaredEnvironments(configDirectory, fileSystem)) : null
+	return fileSystem.readdirSync(configDirectory)
+	.filter((fileName) => !fileName.startsWith('.') && !exclude.includes(fileName) && (!include || include.includes(fileName)))
+	.filter((fileName) => configUtils.isDirectory(path.resolve(configDirectory, fileName), fileSystem))
+	.sort()
+}
+
+// --------------------------------------------------------
+/**
+ * @param {String} configDirectory
+ * @param {String} environment
+ * @param {Object} manifest - as returned by readManifest
+ * @param {Object} fileSystem
+ * @returns {String|null} - name of the environment that ${environment} extends; null if none
+ */
+function findParent(configDirectory, environment, manifest, fileSystem) {
+	let fromManifest = Reflect.has(manifest, environment) ? manifest[environment].extends || null : null,
+		marker = readOptionalFile(path.resolve(configDirectory, environment, kMarkerFileName), fileSystem),
+		fromMarker = marker !== null ? marker.trim() || null : null
+	if (fromManifest && fromMarker && fromManifest !== fromMarker)
+		throw new Error(`Environment ${environment} extends ${fromManifest} in ${kManifestFileName} but ${fromMarker} in ${path.join(environment, kMarkerFileName)}`)
+
+	return fromMarker || fromManifest
+}
+
+/**
+ * @param {String} file
+ * @param {Object} fileSystem
+ * @returns {String|null} - contents of ${file}; null if it does not exist
+ */
+function readOptionalFile(file, fileSystem) {
+	try {
+		return fileSystem.readFileSync(file, 'utf8')
+	}
+	catch (error) {
+		if (error.code === 'ENOENT' || error.code === 'ENOTDIR')
+			return null
+		throw error
+	}
+}
+
+exports.kManifestFileName = kManifestFileName
+exports.kMarkerFileName = kMarkerFileName
+exports.resolveEnvironments = resolveEnvironments
+exports.readManifest = readManifest
+exports.declaredEnvironments = declaredEnvironments
+exports.listEnvironments = listEnvironments
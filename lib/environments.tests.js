@@ -0,0 +1,88 @@
+'use strict'
+
+// Core
+const path = require('path')
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const configEnvironments = require('./environments')
+
+// Constants
+const kTestRootPath = path.resolve(__dirname, '..', 'test-data'),
+	kInheritancePath = path.join(kTestRootPath, 'inheritance'),
+	kInvalidPath = path.join(kTestRootPath, 'inheritance.invalid')
+
+// --------------------------------------------------------
+describe('environments', function() {
+	describe('resolveEnvironments', function() {
+		it('returns only the environment if it does not extend another', function() {
+			expect(configEnvironments.resolveEnvironments(kInheritancePath, 'production')).eql(['production'])
+			expect(configEnvironments.resolveEnvironments(kTestRootPath, 'develop')).eql(['develop'])
+		})
+
+		it('parents declared in the manifest are loaded first', function() {
+			expect(configEnvironments.resolveEnvironments(kInheritancePath, 'staging')).eql(['production', 'staging'])
+		})
+
+		it('environments without a directory may extend another', function() {
+			expect(configEnvironments.resolveEnvironments(kInheritancePath, 'qa')).eql(['develop', 'qa'])
+		})
+
+		it('follows marker files and multi-level chains', function() {
+			expect(configEnvironments.resolveEnvironments(kInheritancePath, 'preview')).eql(['production', 'staging', 'preview'])
+		})
+
+		it('throws on cycles', function() {
+			expect(() => configEnvironments.resolveEnvironments(kInvalidPath, 'a')).throw(Error, 'Environment inheritance cycle: a -> b -> a')
+		})
+
+		it('throws if a parent does not exist', function() {
+			expect(() => configEnvironments.resolveEnvironments(kInvalidPath, 'c')).throw(Error, /Environment c extends missing, but .+ does not exist/)
+		})
+
+		it('throws if the manifest and a marker file declare different parents', function() {
+			expect(() => configEnvironments.resolveEnvironments(kInvalidPath, 'd')).throw(Error, /Environment d extends a in \.environments\.json but b in d.\.extends/)
+		})
+	})
+
+	describe('readManifest', function() {
+		it('returns empty object if there is no manifest', function() {
+			expect(configEnvironments.readManifest(kTestRootPath)).eql({})
+		})
+
+		it('returns the declared environments', function() {
+			expect(configEnvironments.readManifest(kInheritancePath)).eql({
+				staging: {extends: 'production'},
+				qa: {extends: 'develop'}
+			})
+		})
+	})
+
+	describe('declaredEnvironments', function() {
+		it('returns the environments named in the manifest and marker files', function() {
+			expect(configEnvironments.declaredEnvironments(kInheritancePath).sort()).eql(['develop', 'preview', 'production', 'qa', 'staging'])
+		})
+
+		it('returns empty array if no environments are declared', function() {
+			expect(configEnvironments.declaredEnvironments(path.join(kTestRootPath, 'simple.environment'))).eql([])
+		})
+	})
+
+	describe('listEnvironments', function() {
+		it('returns every subdirectory other than local', function() {
+			expect(configEnvironments.listEnvironments(kInheritancePath)).eql(['develop', 'preview', 'production', 'staging'])
+			expect(configEnvironments.listEnvironments(path.join(kTestRootPath, 'layers'), {exclude: ['default', 'local']})).eql([
+				'local-production',
+				'production',
+				'worker-1'
+			])
+		})
+
+		it('include restricts the result to the given and declared environments', function() {
+			expect(configEnvironments.listEnvironments(path.join(kTestRootPath, 'recursive'), {include: ['production']})).eql(['production'])
+			expect(configEnvironments.listEnvironments(kInheritancePath, {include: []})).eql(['develop', 'preview', 'production', 'staging'])
+		})
+	})
+})
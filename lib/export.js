@@ -0,0 +1,227 @@
+'use strict'
+
+// Vendor
+const yaml = require('js-yaml')
+
+// Local
+const configRedact = require('./redact'),
+	configUtils = require('./utils'),
+	envOverrides = require('./env-overrides')
+
+// Constants
+const kFormats = ['env', 'shell', 'json', 'yaml'],
+	kKeyCases = ['upper', 'preserve'],
+	kDefaultKeyCase = 'upper',
+	kJsonIndent = 2,
+	kUnquotedEnvValue = /^[\w.,:/@%+=-]*$/
+
+/**
+ * Serializes a (loaded) configuration for consumers other than node (e.g. docker-compose env files
+ * or shell scripts):
+ *
+ * - env - KEY=value lines (.env files); nested keys are flattened (e.g. database.host ->
+ *   DATABASE__HOST) and arrays and objects are serialized as JSON
+ * - shell - export KEY='value' lines with the same names as env
+ * - json
+ * - yaml
+ *
+ * The flattened names follow the same convention as the envPrefix option of the loader, such
+ * that the variables may be read back in with envPrefix (and envKeyCase 'camel').
+ *
+ * @param {Object} config
+ * @param {Object} [options = {}]
+ * @param {String} [options.format = 'env'] - 'env', 'shell', 'json' or 'yaml'
+ * @param {Array.<String>} [options.include = null] - if set, only export these dotted key paths (and everything below them)
+ * @param {Array.<String>} [options.exclude = []] - dotted key paths to leave out (e.g. secrets)
+ * @param {Object} [options.rename = {}] - maps dotted key paths to the variable name (env and shell) or dotted key path (json and yaml) to export them as; renaming a key path renames everything below it as well (e.g. {database: 'DB'} -> DB__HOST)
+ * @param {String} [options.prefix = null] - (env and shell) prefix of every variable name that is not renamed
+ * @param {String} [options.delimiter = '__'] - (env and shell) separates the prefix and each key in variable names
+ * @param {String|Function} [options.keyCase = 'upper'] - (env and shell) 'upper' (camelCase keys become CAMEL_CASE), 'preserve' or function(key) that returns the name segment
+ * @param {Boolean} [options.includeSecrets = false] - if true, export the values of secrets; otherwise they are left out (see lib/redact.js), rather than exported as '[REDACTED]', which consumers would take for the actual value
+ * @param {Function} [options.onSecretOmitted = null] - function(keyPath) called with the dotted key path of every secret that is left out (e.g. to warn about it); arrays and objects that are exported as JSON are left out if they contain any secret
+ * @returns {String}
+ */
+function exportConfig(config, options = {}) {
+	let format = options.format || 'env',
+		keyCase = options.keyCase || kDefaultKeyCase
+	if (!kFormats.includes(format))
+		throw new Error(`Invalid export format: ${format} (expected ${kFormats.join(', ')})`)
+	if (typeof keyCase !== 'function' && !kKeyCases.includes(keyCase))
+		throw new Error(`Invalid export key case: ${keyCase}`)
+
+	let leaves = []
+	collectLeaves(config, [], leaves)
+	leaves = leaves.filter((leaf) => isIncluded(leaf.keyPath, options.include || null, options.exclude || []))
+	if (!options.includeSecrets) {
+		leaves = leaves.filter((leaf) => {
+			if (!isSecretLeaf(config, leaf))
+				return true
+
+			if (options.onSecretOmitted)
+				options.onSecretOmitted(leaf.keyPath.join('.'))
+			return false
+		})
+	}
+	leaves = leaves.map((leaf) => ({keyPath: leaf.keyPath, value: configRedact.reveal(leaf.value)}))
+
+	if (format === 'json' || format === 'yaml') {
+		let result = {}
+		leaves.forEach((leaf) => configUtils.setAt(result, renameKeyPath(leaf.keyPath, options.rename || {}), leaf.value))
+		return format === 'json' ? JSON.stringify(result, null, kJsonIndent) + '\n' : yaml.safeDump(result, {skipInvalid: true})
+	}
+
+	let names = new Map()
+	return leaves.map((leaf) => {
+		let name = variableName(leaf.keyPath, options, keyCase),
+			previous = names.get(name)
+		if (previous)
+			throw new Error(`${previous} and ${leaf.keyPath.join('.')} would both be exported as ${name}`)
+		names.set(name, leaf.keyPath.join('.'))
+
+		let text = stringValue(leaf.value)
+		return format === 'env' ? `${name}=${quoteEnv(text)}\n` : `export ${name}=${quoteShell(text)}\n`
+	})
+	.join('')
+}
+
+// --------------------------------------------------------
+/**
+ * @param {Object} config
+ * @param {Object} leaf - {keyPath, value}
+ * @returns {Boolean} - true if ${leaf} is a secret or an array or object that contains a secret
+ */
+function isSecretLeaf(config, leaf) {
+	return configRedact.isSecretPath(config, leaf.keyPath) || containsSecret(config, leaf.keyPath, leaf.value)
+}
+
+/**
+ * @param {Object} config
+ * @param {Array.<String>} keyPath - key path of ${value} in ${config}
+ * @param {*} value
+ * @returns {Boolean} - true if ${value} is a Secret or an array or object with a secret key path (see redact.isSecretPath) or Secret below it
+ */
+function containsSecret(config, keyPath, value) {
+	if (value instanceof configRedact.Secret)
+		return true
+	if (!configUtils.isContainer(value))
+		return false
+
+	return Object.keys(value).some((key) => {
+		let childKeyPath = keyPath.concat(key)
+		return configRedact.isSecretPath(config, childKeyPath) || containsSecret(config, childKeyPath, value[key])
+	})
+}
+
+/**
+ * @param {*} value
+ * @param {Array.<String>} keyPath
+ * @param {Array.<Object>} result - {keyPath, value} of every leaf (anything other than a non-empty plain object) is appended to this array
+ */
+function collectLeaves(value, keyPath, result) {
+	let keys = configUtils.isPlainObject(value) ? Object.keys(value) : []
+	if (!keys.length) {
+		if (keyPath.length)
+			result.push({keyPath, value})
+		return
+	}
+
+	keys.forEach((key) => collectLeaves(value[key], keyPath.concat(key), result))
+}
+
+/**
+ * @param {Array.<String>} keyPath
+ * @param {Array.<String>|null} include
+ * @param {Array.<String>} exclude
+ * @returns {Boolean}
+ */
+function isIncluded(keyPath, include, exclude) {
+	let isBelow = (other) => {
+		let otherKeyPath = other.split('.')
+		return otherKeyPath.length <= keyPath.length && otherKeyPath.every((key, i) => key === keyPath[i])
+	}
+	return (!include || include.some(isBelow)) && !exclude.some(isBelow)
+}
+
+/**
+ * @param {Array.<String>} keyPath
+ * @param {Object} rename - dotted key path -> new dotted key path
+ * @returns {Array.<String>} - ${keyPath} with its longest renamed prefix replaced
+ */
+function renameKeyPath(keyPath, rename) {
+	for (let length = keyPath.length; length > 0; length--) {
+		let prefix = keyPath.slice(0, length).join('.')
+		if (Reflect.has(rename, prefix))
+			return rename[prefix].split('.').concat(keyPath.slice(length))
+	}
+	return keyPath
+}
+
+/**
+ * @param {Array.<String>} keyPath
+ * @param {Object} options - see exportConfig
+ * @param {String|Function} keyCase
+ * @returns {String}
+ */
+function variableName(keyPath, options, keyCase) {
+	let delimiter = options.delimiter || envOverrides.kDefaultDelimiter,
+		rename = options.rename || {}
+	for (let length = keyPath.length; length > 0; length--) {
+		let prefix = keyPath.slice(0, length).join('.')
+		if (Reflect.has(rename, prefix))
+			return [rename[prefix]].concat(keyPath.slice(length).map((key) => convertCase(key, keyCase))).join(delimiter)
+	}
+
+	let segments = keyPath.map((key) => convertCase(key, keyCase))
+	return (options.prefix ? [options.prefix].concat(segments) : segments).join(delimiter)
+}
+
+/**
+ * @param {String} key
+ * @param {String|Function} keyCase
+ * @returns {String} - ${key} as a variable name segment; characters that are not allowed in variable names become underscores
+ */
+function convertCase(key, keyCase) {
+	if (typeof keyCase === 'function')
+		return keyCase(key)
+
+	let segment = key.replace(/[^A-Za-z0-9_]/g, '_')
+	return keyCase === 'upper' ? segment.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase() : segment
+}
+
+/**
+ * @param {*} value
+ * @returns {String} - strings as is, null as an empty string, and anything else as JSON
+ */
+function stringValue(value) {
+	if (typeof value === 'string')
+		return value
+	if (value === null || typeof value === 'undefined')
+		return ''
+	return JSON.stringify(value)
+}
+
+/**
+ * @param {String} value
+ * @returns {String} - ${value} in double quotes (with backslashes, double quotes and newlines escaped) unless it consists solely of safe characters
+ */
+function quoteEnv(value) {
+	if (kUnquotedEnvValue.test(value))
+		return value
+
+	let escaped = value
+	.replace(/\\/g, '\\\\')
+	.replace(/"/g, '\\"')
+	.replace(/\r?\n/g, '\\n')
+	return `"${escaped}"`
+}
+
+/**
+ * @param {String} value
+ * @returns {String} - ${value} in single quotes
+ */
+function quoteShell(value) {
+	return `'${value.replace(/'/g, '\'\\\'\'')}'`
+}
+
+exports.kFormats = kFormats
+exports.exportConfig = exportConfig
@@ -0,0 +1,87 @@
+/* eslint-disable no-magic-numbers */
+'use strict'
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const configExport = require('./export'),
+	configRedact = require('./redact')
+
+// --------------------------------------------------------
+describe('export', function() {
+	describe('exportConfig', function() {
+		let config = configRedact.protect({
+			database: {host: 'db.example.com', port: 5432, password: 'hunter2'},
+			queue: {url: 'amqp://queue', hosts: ['a', 'b']},
+			apiKey: configRedact.secret('k3y'),
+			greeting: 'hello "world"\nbye',
+			empty: null,
+			servers: [{host: 'a', token: 't0ken'}]
+		})
+
+		it('exports env lines with flattened, upper case names and without secrets', function() {
+			let omitted = []
+			expect(configExport.exportConfig(config, {onSecretOmitted: (keyPath) => omitted.push(keyPath)})).equal([
+				'DATABASE__HOST=db.example.com',
+				'DATABASE__PORT=5432',
+				'QUEUE__URL=amqp://queue',
+				'QUEUE__HOSTS="[\\"a\\",\\"b\\"]"',
+				'GREETING="hello \\"world\\"\\nbye"',
+				'EMPTY=',
+				''
+			].join('\n'))
+			expect(omitted).eql(['database.password', 'apiKey', 'servers'])
+		})
+
+		it('leaves out secrets of configurations that are not protected', function() {
+			let result = configExport.exportConfig({password: 'hunter2', key: configRedact.secret('k3y'), host: 'a'}, {format: 'json'})
+			expect(JSON.parse(result)).eql({host: 'a'})
+		})
+
+		it('decides which values are secret by their key paths only', function() {
+			let omitted = [],
+				result = configExport.exportConfig(configRedact.protect({released: new Date(0), password: 'a'}, {patterns: ['nothing']}), {
+					format: 'json',
+					onSecretOmitted: (keyPath) => omitted.push(keyPath)
+				})
+			expect(JSON.parse(result)).eql({released: '1970-01-01T00:00:00.000Z', password: 'a'})
+			expect(omitted).eql([])
+		})
+
+		it('exports shell export lines', function() {
+			let result = configExport.exportConfig({name: 'it\'s', port: 1}, {format: 'shell', prefix: 'APP', delimiter: '_'})
+			expect(result).equal('export APP_NAME=\'it\'\\\'\'s\'\nexport APP_PORT=\'1\'\n')
+		})
+
+		it('includes secrets only if includeSecrets is set', function() {
+			let result = configExport.exportConfig(config, {include: ['database.password', 'apiKey', 'servers'], includeSecrets: true})
+			expect(result).equal('DATABASE__PASSWORD=hunter2\nAPI_KEY=k3y\nSERVERS="[{\\"host\\":\\"a\\",\\"token\\":\\"t0ken\\"}]"\n')
+		})
+
+		it('include and exclude select subtrees', function() {
+			let result = configExport.exportConfig(config, {format: 'json', include: ['database', 'queue'], exclude: ['database.password', 'queue.hosts']})
+			expect(JSON.parse(result)).eql({database: {host: 'db.example.com', port: 5432}, queue: {url: 'amqp://queue'}})
+		})
+
+		it('renames key paths and everything below them', function() {
+			let options = {include: ['database', 'queue.url'], exclude: ['database.password'], rename: {database: 'PG', 'queue.url': 'AMQP_URL'}, prefix: 'APP'}
+			expect(configExport.exportConfig(config, options)).equal('PG__HOST=db.example.com\nPG__PORT=5432\nAMQP_URL=amqp://queue\n')
+			expect(configExport.exportConfig(config, Object.assign({}, options, {format: 'yaml'}))).equal('PG:\n  host: db.example.com\n  port: 5432\nAMQP_URL: \'amqp://queue\'\n')
+		})
+
+		it('keyCase preserve or a function controls the name segments', function() {
+			expect(configExport.exportConfig({maxAge: 1}, {keyCase: 'preserve'})).equal('maxAge=1\n')
+			expect(configExport.exportConfig({maxAge: 1}, {keyCase: (key) => key.toLowerCase()})).equal('maxage=1\n')
+		})
+
+		it('throws if two keys would be exported with the same name', function() {
+			expect(() => configExport.exportConfig({a: {b: 1}, A__B: 2})).throw(Error, 'a.b and A__B would both be exported as A__B')
+		})
+
+		it('throws on invalid formats and key cases', function() {
+			expect(() => configExport.exportConfig({}, {format: 'xml'})).throw(Error, /Invalid export format: xml/)
+			expect(() => configExport.exportConfig({}, {keyCase: 'lower'})).throw(Error, /Invalid export key case/)
+		})
+	})
+})
@@ -0,0 +1,341 @@
+'use strict'
+
+// Core
+const fs = require('fs'),
+	Module = require('module'),
+	path = require('path'),
+	url = require('url')
+
+// Vendor
+const dotenv = require('dotenv'),
+	toml = require('toml'),
+	yaml = require('js-yaml')
+
+// Constants
+const kByteOrderMark = 0xFEFF,
+	kPackageFileName = 'package.json'
+
+/**
+ * Registered configuration file formats keyed by extension (including the leading period). The
+ * registration order also determines the order in which files sharing the same basename (e.g.
+ * logging.js and logging.yaml) are merged - later formats take precedence.
+ */
+const registry = new Map()
+
+/**
+ * Absolute paths of the modules that javascript configuration modules have required (directly or
+ * indirectly) outside of node_modules; see uncacheRequiredModules.
+ */
+const requiredModules = new Set()
+
+/**
+ * @param {String} extension - file extension including the leading period (e.g. '.ini')
+ * @param {Function} parse - function(contents, filePath) that returns the parsed configuration
+ */
+function registerFormat(extension, parse) {
+	registry.set(normalizeExtension(extension), textLoader(parse))
+}
+
+/**
+ * @param {Object} [extraFormats = null] - additional extension -> parse function mappings for a single load
+ * @returns {Map} - extension -> load(filePath, fileSystem) function for every registered and extra format
+ */
+function resolveFormats(extraFormats = null) {
+	let result = new Map(registry)
+	if (extraFormats) {
+		Object.keys(extraFormats).forEach((extension) => {
+			result.set(normalizeExtension(extension), textLoader(extraFormats[extension]))
+		})
+	}
+	return result
+}
+
+/**
+ * @param {String} fileName
+ * @param {Map} formats - as returned by resolveFormats
+ * @returns {Object|null} - {baseName, extension, rank} if ${fileName} has a supported extension; null otherwise
+ */
+function matchFormat(fileName, formats) {
+	let rank = 0
+	for (let extension of formats.keys()) {
+		if (fileName.endsWith(extension) && fileName.length > extension.length) {
+			return {
+				baseName: fileName.substr(0, fileName.length - extension.length),
+				extension,
+				rank
+			}
+		}
+		rank++
+	}
+
+	return null
+}
+
+/**
+ * @param {String} filePath - absolute path to the configuration file
+ * @param {Map} formats - as returned by resolveFormats
+ * @param {Object} [fileSystem = fs] - file system to read ${filePath} from (see the fileSystem option of loadConfig)
+ * @returns {*} - the configuration exported / contained in ${filePath}
+ * @throws {Error} - if ${filePath} is an ES module, which may only be loaded asynchronously (see loadFile.async)
+ */
+function loadFile(filePath, formats, fileSystem = fs) {
+	let loader = getLoader(filePath, formats)
+	if (isEsModule(filePath, loader, fileSystem))
+		throw new Error(`${filePath} is an ES module and may only be loaded with loadConfig.async()`)
+
+	return loader(filePath, fileSystem)
+}
+
+/**
+ * Same as loadFile, except that ES modules (.mjs files and .js files of packages with "type":
+ * "module") are loaded as well.
+ *
+ * @param {String} filePath
+ * @param {Map} formats
+ * @param {Object} [fileSystem = fs]
+ * @returns {Promise.<*>}
+ */
+loadFile.async = function(filePath, formats, fileSystem = fs) {
+	return new Promise((resolve) => {
+		let loader = getLoader(filePath, formats)
+		resolve(isEsModule(filePath, loader, fileSystem) ? importModule(filePath, fileSystem) : loader(filePath, fileSystem))
+	})
+}
+
+/**
+ * @returns {Promise.<Boolean>} - resolves to true if this version of node imports ES modules (with import()); false otherwise
+ */
+function supportsImport() {
+	return dynamicImport('fs')
+	.then(() => true, () => false)
+}
+
+/**
+ * Removes the modules within ${directory} that javascript configuration modules have required
+ * (e.g. helpers shared by several configuration files) from the require cache, so that the next
+ * evaluation of the configuration modules requires their current contents. Modules that are
+ * required by the application alone are left as they are.
+ *
+ * @param {String} directory - absolute path
+ */
+function uncacheRequiredModules(directory) {
+	let prefix = path.resolve(directory) + path.sep
+	Array.from(requiredModules)
+	.filter((modulePath) => modulePath.startsWith(prefix))
+	.forEach((modulePath) => {
+		requiredModules.delete(modulePath)
+		Reflect.deleteProperty(require.cache, modulePath)
+	})
+}
+
+// --------------------------------------------------------
+/**
+ * @param {String} extension
+ * @returns {String} - ${extension} prefixed with a period if it does not already have one
+ */
+function normalizeExtension(extension) {
+	if (typeof extension !== 'string' || !extension)
+		throw new Error('format extension must be a non-empty string')
+
+	return extension.startsWith('.') ? extension : '.' + extension
+}
+
+/**
+ * @param {String} filePath
+ * @param {Map} formats
+ * @returns {Function} - load function of the format of ${filePath}
+ */
+function getLoader(filePath, formats) {
+	let match = matchFormat(path.basename(filePath), formats)
+	if (!match)
+		throw new Error(`${filePath} does not have a supported configuration file extension`)
+
+	return formats.get(match.extension)
+}
+
+/**
+ * @param {String} filePath
+ * @param {Function} loader - as returned by getLoader
+ * @param {Object} fileSystem
+ * @returns {Boolean} - true if ${filePath} is to be loaded as an ES module; .js files are ES modules if the nearest package.json declares "type": "module" (as with node)
+ */
+function isEsModule(filePath, loader, fileSystem) {
+	if (loader === importModule)
+		return true
+
+	return loader === evaluateModule && path.extname(filePath) === '.js' && packageType(path.dirname(filePath), fileSystem) === 'module'
+}
+
+/**
+ * @param {String} directory
+ * @param {Object} fileSystem
+ * @returns {String|null} - type field of the nearest package.json of ${directory}; null if there is none
+ */
+function packageType(directory, fileSystem) {
+	let packageFile = path.join(directory, kPackageFileName),
+		contents = null
+	try {
+		contents = fileSystem.readFileSync(packageFile, 'utf8')
+	}
+	catch (error) {
+		if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR')
+			throw error
+
+		let parent = path.dirname(directory)
+		return parent !== directory ? packageType(parent, fileSystem) : null
+	}
+
+	try {
+		return JSON.parse(contents).type || null
+	}
+	catch (error) {
+		throw new Error(`Unable to parse ${packageFile}: ${error.message}`)
+	}
+}
+
+/**
+ * Returns the configuration of a transpiled ES module (i.e. exports with __esModule set) or the
+ * namespace of an ES module: the default export if there is one (named exports are then
+ * ignored), otherwise an object of the named exports. Any other exports are returned as is.
+ *
+ * @param {*} moduleExports
+ * @param {Boolean} [isNamespace = false] - true if ${moduleExports} is the namespace of an ES module
+ * @returns {*}
+ */
+function moduleConfig(moduleExports, isNamespace = false) {
+	if (!isNamespace && !(moduleExports && moduleExports.__esModule === true))
+		return moduleExports
+
+	if (Reflect.has(moduleExports, 'default'))
+		return moduleExports.default
+
+	let result = {}
+	Object.keys(moduleExports)
+	.filter((name) => name !== '__esModule')
+	.forEach((name) => {
+		result[name] = moduleExports[name]
+	})
+	return result
+}
+
+/**
+ * Evaluates a javascript configuration module afresh each time it is loaded, without reading or
+ * adding to the require cache. Thus every load reflects the current contents of the file and no
+ * two loads share module objects. Modules that it requires are loaded (and cached) as usual.
+ *
+ * Virtual file systems (see lib/testing.js) may provide the exports of a module directly in their
+ * moduleExports Map (absolute path -> exports) instead of its source.
+ *
+ * @param {String} filePath - absolute path to the module
+ * @param {Object} [fileSystem = fs]
+ * @returns {*} - the module's exports
+ */
+function evaluateModule(filePath, fileSystem = fs) {
+	if (fileSystem.moduleExports && fileSystem.moduleExports.has(filePath))
+		return moduleConfig(fileSystem.moduleExports.get(filePath))
+
+	// Without a parent, which would keep every module evaluated in its children
+	let configModule = new Module(filePath, null),
+		source = fileSystem.readFileSync(filePath, 'utf8')
+	configModule.filename = filePath
+	configModule.paths = Module._nodeModulePaths(path.dirname(filePath))
+	// Strip any byte order mark as require does
+	configModule._compile(source.charCodeAt(0) === kByteOrderMark ? source.slice(1) : source, filePath)
+	configModule.loaded = true
+	recordRequiredModules(configModule, new Set())
+	return moduleConfig(configModule.exports)
+}
+
+/**
+ * Imports an ES module. Unlike evaluateModule, node caches every module that it imports, so
+ * ${filePath} is imported with its modification time in the URL so that changes to it are loaded
+ * while unchanged modules are not evaluated again. Node never evicts the previous versions, so
+ * each change that is imported adds to memory (which is why loadConfig.watch does not support ES
+ * modules).
+ *
+ * @param {String} filePath - absolute path to the module
+ * @param {Object} [fileSystem = fs]
+ * @returns {Promise.<*>} - the module's configuration (see moduleConfig)
+ */
+function importModule(filePath, fileSystem = fs) {
+	if (fileSystem.moduleExports && fileSystem.moduleExports.has(filePath))
+		return Promise.resolve(moduleConfig(fileSystem.moduleExports.get(filePath)))
+	if (fileSystem !== fs)
+		return Promise.reject(new Error(`ES module ${filePath} may only be given as its exports in a virtual file system`))
+
+	let moduleUrl = `${url.pathToFileURL(filePath).href}?mtime=${fs.statSync(filePath).mtime.getTime()}`
+	return dynamicImport(moduleUrl)
+	.then((namespace) => moduleConfig(namespace, true))
+}
+
+/**
+ * @param {String} specifier
+ * @returns {Promise.<Object>} - namespace of the imported module; rejected if this version of node does not support import()
+ */
+function dynamicImport(specifier) {
+	return new Promise((resolve) => {
+		// import() is parsed at runtime so that this module still loads on versions of node without it
+		resolve(new Function('specifier', 'return import(specifier)')(specifier)) // eslint-disable-line no-new-func
+	})
+}
+
+/**
+ * @param {Module} parent
+ * @param {Set.<Module>} visited - modules that have already been recorded (modules may require each other)
+ */
+function recordRequiredModules(parent, visited) {
+	parent.children
+	.filter((child) => !visited.has(child) && !child.filename.split(path.sep).includes('node_modules'))
+	.forEach((child) => {
+		visited.add(child)
+		requiredModules.add(child.filename)
+		recordRequiredModules(child, visited)
+	})
+}
+
+/**
+ * Empty files (or those that parse to nothing) are treated as an empty configuration (as is the
+ * case with an empty javascript module) and parse errors are rethrown with the offending file name.
+ *
+ * @param {Function} parse - function(contents, filePath)
+ * @returns {Function} - function(filePath[, fileSystem]) that reads and parses ${filePath}
+ */
+function textLoader(parse) {
+	if (typeof parse !== 'function')
+		throw new Error('format parser must be a function')
+
+	return (filePath, fileSystem = fs) => {
+		let contents = fileSystem.readFileSync(filePath, 'utf8')
+		if (!contents.trim())
+			return {}
+
+		let result = null
+		try {
+			result = parse(contents, filePath)
+		}
+		catch (error) {
+			throw new Error(`Unable to parse ${filePath}: ${error.message}`)
+		}
+
+		// e.g. a YAML file containing solely comments
+		return typeof result === 'undefined' || result === null ? {} : result
+	}
+}
+
+// --------------------------------------------------------
+// Built-in formats
+registry.set('.js', evaluateModule)
+registerFormat('.json', (contents) => JSON.parse(contents))
+registerFormat('.yaml', (contents) => yaml.safeLoad(contents))
+registerFormat('.yml', (contents) => yaml.safeLoad(contents))
+registerFormat('.toml', (contents) => toml.parse(contents))
+registerFormat('.env', (contents) => dotenv.parse(contents))
+registry.set('.cjs', evaluateModule)
+registry.set('.mjs', importModule)
+
+exports.registerFormat = registerFormat
+exports.resolveFormats = resolveFormats
+exports.matchFormat = matchFormat
+exports.loadFile = loadFile
+exports.supportsImport = supportsImport
+exports.uncacheRequiredModules = uncacheRequiredModules
@@ -0,0 +1,165 @@
+/* eslint-disable no-unused-expressions */
+'use strict'
+
+// Core
+const path = require('path')
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const configFormats = require('./formats')
+
+// Constants
+const kTestRootPath = path.resolve(__dirname, '..', 'test-data')
+
+// --------------------------------------------------------
+describe('formats', function() {
+	describe('registerFormat', function() {
+		it('throws error if extension is empty', function() {
+			expect(function() {
+				configFormats.registerFormat('', () => ({}))
+			}).throw(Error)
+		})
+
+		it('throws error if parse is not a function', function() {
+			expect(function() {
+				configFormats.registerFormat('.test-invalid', 'not a function')
+			}).throw(Error)
+		})
+
+		it('adds the format after the built-in formats', function() {
+			configFormats.registerFormat('test-registered', (contents) => contents)
+			let extensions = Array.from(configFormats.resolveFormats().keys())
+			expect(extensions).eql(['.js', '.json', '.yaml', '.yml', '.toml', '.env', '.cjs', '.mjs', '.test-registered'])
+		})
+	})
+
+	describe('resolveFormats', function() {
+		it('extra formats do not modify the global registry', function() {
+			let formats = configFormats.resolveFormats({'.test-extra': (contents) => contents})
+			expect(formats.has('.test-extra')).true
+			expect(configFormats.resolveFormats().has('.test-extra')).false
+		})
+	})
+
+	describe('matchFormat', function() {
+		let formats = configFormats.resolveFormats()
+
+		it('returns the basename, extension, and rank', function() {
+			expect(configFormats.matchFormat('logging.yaml', formats)).eql({
+				baseName: 'logging',
+				extension: '.yaml',
+				rank: 2
+			})
+		})
+
+		it('returns null for unsupported extensions', function() {
+			expect(configFormats.matchFormat('README.md', formats)).null
+		})
+
+		it('returns null if there is no basename', function() {
+			expect(configFormats.matchFormat('.env', formats)).null
+		})
+	})
+
+	describe('loadFile', function() {
+		let formats = configFormats.resolveFormats()
+
+		it('parses the file based on its extension', function() {
+			let result = configFormats.loadFile(path.join(kTestRootPath, 'formats.mixed', 'features.toml'), formats)
+			expect(result).eql({
+				search: true,
+				beta: {
+					enabled: false
+				}
+			})
+		})
+
+		it('evaluates javascript modules afresh without using the require cache', function() {
+			let filePath = path.join(kTestRootPath, 'formats.mixed', 'logging.js'),
+				first = configFormats.loadFile(filePath, formats),
+				second = configFormats.loadFile(filePath, formats)
+			expect(second).eql(first)
+			expect(second).not.equal(first)
+			expect(require.cache[filePath]).undefined
+		})
+
+		it('does not keep the modules that it evaluates', function() {
+			let filePath = path.join(kTestRootPath, 'formats.mixed', 'logging.js'),
+				formatsModule = require.cache[require.resolve('./formats')],
+				childCount = formatsModule.children.length
+			configFormats.loadFile(filePath, formats)
+			configFormats.loadFile(filePath, formats)
+			expect(formatsModule.children.length).equal(childCount)
+		})
+
+		it('empty files are an empty object', function() {
+			let result = configFormats.loadFile(path.join(kTestRootPath, 'empty-files', 'logging.js'), configFormats.resolveFormats({
+				'.js': JSON.parse
+			}))
+			expect(result).eql({})
+		})
+
+		it('throws error for unsupported extensions', function() {
+			expect(function() {
+				configFormats.loadFile(path.join(kTestRootPath, 'formats.custom', 'hosts.list'), formats)
+			}).throw(Error)
+		})
+
+		it('loads the default export of transpiled ES modules', function() {
+			expect(configFormats.loadFile(path.join(kTestRootPath, 'modules', 'features.js'), formats)).eql({signup: true})
+		})
+
+		it('throws error for ES modules', function() {
+			expect(function() {
+				configFormats.loadFile(path.join(kTestRootPath, 'modules', 'index.mjs'), formats)
+			}).throw(Error, /is an ES module and may only be loaded with loadConfig\.async\(\)/)
+			expect(function() {
+				configFormats.loadFile(path.join(kTestRootPath, 'modules.package', 'config', 'index.js'), formats)
+			}).throw(Error, /is an ES module/)
+		})
+	})
+
+	describe('loadFile.async', function() {
+		let formats = configFormats.resolveFormats()
+
+		describe('ES modules', function() {
+			before(function() {
+				return configFormats.supportsImport()
+				.then((supported) => {
+					if (!supported)
+						this.skip() // eslint-disable-line no-invalid-this
+				})
+			})
+
+			it('imports the default export of ES modules', function() {
+				return configFormats.loadFile.async(path.join(kTestRootPath, 'modules', 'index.mjs'), formats)
+				.then((result) => {
+					expect(result).eql({name: 'node-config-loader'})
+				})
+			})
+
+			it('imports the named exports of ES modules without a default export', function() {
+				return configFormats.loadFile.async(path.join(kTestRootPath, 'modules', 'database.mjs'), formats)
+				.then((result) => {
+					expect(result).eql({host: 'localhost', port: 5432})
+				})
+			})
+
+			it('imports .js files of packages with "type": "module"', function() {
+				return configFormats.loadFile.async(path.join(kTestRootPath, 'modules.package', 'config', 'index.js'), formats)
+				.then((result) => {
+					expect(result).eql({name: 'node-config-loader'})
+				})
+			})
+		})
+
+		it('loads other formats as loadFile does', function() {
+			return configFormats.loadFile.async(path.join(kTestRootPath, 'modules', 'logging.cjs'), formats)
+			.then((result) => {
+				expect(result).eql({enabled: true, level: 'debug'})
+			})
+		})
+	})
+})
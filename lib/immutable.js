@@ -0,0 +1,112 @@
+'use strict'
+
+// Local
+const configUtils = require('./utils')
+
+// Constants
+const kAccessorNames = ['get', 'has'],
+	// Properties that are commonly probed for (e.g. by Promise resolution or util.inspect) and must
+	// not throw even though they do not exist
+	kProbedProperties = ['then', 'toJSON', 'inspect']
+
+/**
+ * Deep freezes ${config} (its plain objects and arrays; other values such as Dates or Buffers are
+ * left as they are) and adds the following non-enumerable accessor methods to it:
+ *
+ * - get(keyPath) - returns the value at ${keyPath}; throws an error if it does not exist
+ * - get(keyPath, defaultValue) - returns the value at ${keyPath} or ${defaultValue} if it does not exist
+ * - has(keyPath) - returns true if ${keyPath} exists; false otherwise
+ *
+ * Key paths may be dotted strings (e.g. 'database.host') or arrays of keys.
+ *
+ * @param {Object} config
+ * @param {Object} [options = {}]
+ * @param {Boolean} [options.strictAccess = false] - if true, ${config} and every object in it are wrapped in a Proxy that throws an error when reading an unknown property
+ * @returns {Object} - ${config} or, if ${options.strictAccess} is true, its Proxy
+ */
+function lock(config, options = {}) {
+	kAccessorNames.forEach((name) => {
+		if (Reflect.getOwnPropertyDescriptor(config, name))
+			throw new Error(`Configuration key, ${name}, conflicts with the ${name}() accessor of immutable configurations`)
+	})
+
+	Reflect.defineProperty(config, 'get', {
+		value: function(keyPath, ...rest) {
+			let keys = toKeys(keyPath),
+				value = getValue(config, keys)
+			if (value.found)
+				return value.value
+			if (rest.length)
+				return rest[0]
+
+			throw new Error(`Configuration key not found: ${keys.join('.')}`)
+		}
+	})
+	Reflect.defineProperty(config, 'has', {
+		value: (keyPath) => getValue(config, toKeys(keyPath)).found
+	})
+
+	return lockValue(config, [], !!options.strictAccess)
+}
+
+// --------------------------------------------------------
+/**
+ * @param {*} value
+ * @param {Array.<String>} keyPath - key path of ${value}
+ * @param {Boolean} strictAccess
+ * @returns {*} - frozen ${value} or its Proxy if it is a plain object or array; ${value} otherwise
+ */
+function lockValue(value, keyPath, strictAccess) {
+	// Class instances may not be frozen (e.g. Buffers) or work through a Proxy (e.g. Dates)
+	if (!configUtils.isContainer(value) || Object.isFrozen(value))
+		return value
+
+	// Children are locked (and possibly replaced with their Proxy) before ${value} itself is frozen
+	Object.keys(value).forEach((key) => {
+		value[key] = lockValue(value[key], keyPath.concat(key), strictAccess)
+	})
+	Object.freeze(value)
+
+	if (!strictAccess)
+		return value
+
+	return new Proxy(value, {
+		get: (target, property, receiver) => {
+			if (typeof property === 'string' && !(property in target) && !kProbedProperties.includes(property))
+				throw new Error(`Unknown configuration key: ${keyPath.concat(property).join('.')}`)
+
+			return Reflect.get(target, property, receiver)
+		}
+	})
+}
+
+/**
+ * @param {String|Array.<String>} keyPath
+ * @returns {Array.<String>}
+ */
+function toKeys(keyPath) {
+	if (Array.isArray(keyPath))
+		return keyPath.map(String)
+	if (typeof keyPath !== 'string' || !keyPath)
+		throw new Error('key path must be a non-empty string or array')
+
+	return keyPath.split('.')
+}
+
+/**
+ * @param {Object} config
+ * @param {Array.<String>} keys
+ * @returns {Object} - {found: Boolean, value}
+ */
+function getValue(config, keys) {
+	let value = config
+	for (let key of keys) {
+		if (!value || typeof value !== 'object' || !Reflect.getOwnPropertyDescriptor(value, key))
+			return {found: false, value: null}
+		value = value[key]
+	}
+
+	return {found: true, value}
+}
+
+exports.lock = lock
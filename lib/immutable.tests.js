@@ -0,0 +1,120 @@
+/* eslint-disable no-magic-numbers, no-unused-expressions */
+'use strict'
+
+// Core
+const util = require('util')
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const configImmutable = require('./immutable')
+
+// --------------------------------------------------------
+describe('immutable', function() {
+	function createConfig() {
+		return {
+			name: 'app',
+			database: {
+				host: 'localhost',
+				port: 5432,
+				replicas: [{host: 'replica'}]
+			},
+			optional: null
+		}
+	}
+
+	describe('lock', function() {
+		it('deep freezes the configuration', function() {
+			let config = configImmutable.lock(createConfig())
+			expect(Object.isFrozen(config)).true
+			expect(Object.isFrozen(config.database)).true
+			expect(Object.isFrozen(config.database.replicas[0])).true
+			expect(() => {
+				config.database.host = 'other'
+			}).throw(TypeError)
+		})
+
+		it('leaves Dates, Buffers and other class instances as they are', function() {
+			let released = new Date(0),
+				key = Buffer.from('key'),
+				config = configImmutable.lock({released, key})
+			expect(config.released).equal(released)
+			expect(config.key).equal(key)
+			expect(Object.isFrozen(key)).false
+		})
+
+		it('accessors are not enumerable', function() {
+			let config = configImmutable.lock(createConfig())
+			expect(Object.keys(config)).eql(['name', 'database', 'optional'])
+			expect(JSON.parse(JSON.stringify(config))).eql(createConfig())
+		})
+
+		it('throws error if a key conflicts with an accessor', function() {
+			expect(() => configImmutable.lock({get: true})).throw(Error, /get/)
+			expect(() => configImmutable.lock({has: true})).throw(Error, /has/)
+		})
+	})
+
+	describe('get', function() {
+		let config = configImmutable.lock(createConfig())
+
+		it('returns the value at a key path', function() {
+			expect(config.get('database.port')).equal(5432)
+			expect(config.get(['database', 'replicas', 0, 'host'])).equal('replica')
+			expect(config.get('optional')).null
+		})
+
+		it('throws error if the key path does not exist', function() {
+			expect(() => config.get('database.hots')).throw(Error, 'Configuration key not found: database.hots')
+			expect(() => config.get('name.length')).throw(Error)
+			expect(() => config.get('')).throw(Error)
+		})
+
+		it('returns the default value if the key path does not exist', function() {
+			expect(config.get('database.pool', 10)).equal(10)
+			expect(config.get('database.port', 10)).equal(5432)
+		})
+	})
+
+	describe('has', function() {
+		let config = configImmutable.lock(createConfig())
+
+		it('returns whether a key path exists', function() {
+			expect(config.has('database.host')).true
+			expect(config.has('optional')).true
+			expect(config.has('database.hots')).false
+			expect(config.has('database.toString')).false
+		})
+	})
+
+	describe('strictAccess', function() {
+		let config = configImmutable.lock(createConfig(), {strictAccess: true})
+
+		it('allows reading known properties', function() {
+			expect(config.database.replicas[0].host).equal('replica')
+			expect(config.database.replicas.length).equal(1)
+			expect(config.get('database.host')).equal('localhost')
+		})
+
+		it('throws error when reading unknown properties', function() {
+			expect(() => config.databse).throw(Error, 'Unknown configuration key: databse')
+			expect(() => config.database.replicas[0].port).throw(Error, 'Unknown configuration key: database.replicas.0.port')
+		})
+
+		it('does not wrap Dates and Buffers in a Proxy', function() {
+			let strictConfig = configImmutable.lock({released: new Date(0), key: Buffer.from('key')}, {strictAccess: true})
+			expect(strictConfig.released.getTime()).equal(0)
+			expect(strictConfig.key.toString()).equal('key')
+		})
+
+		it('may still be inspected, serialized and resolved by promises', function() {
+			expect(util.inspect(config)).include('localhost')
+			expect(JSON.parse(JSON.stringify(config))).eql(createConfig())
+			return Promise.resolve(config)
+			.then((result) => {
+				expect(result.name).equal('app')
+			})
+		})
+	})
+})
@@ -0,0 +1,218 @@
+'use strict'
+
+// Core
+const fs = require('fs'),
+	path = require('path')
+
+// Local
+const configRedact = require('./redact')
+
+// Constants
+const kPlaceholder = /\$(\$?)\{([^}]*)\}/g,
+	kWholePlaceholder = /^\$\{([^}]*)\}$/,
+	kReference = /^(?:(env|file):)?([\s\S]*?)(?::-([\s\S]*))?$/
+
+/**
+ * Thrown if any placeholders could not be resolved.
+ */
+class InterpolationError extends Error {
+	/**
+	 * @param {Array.<Object>} unresolved - [{keyPath, reference}, ...]
+	 */
+	constructor(unresolved) {
+		let lines = unresolved.map((item) => `  ${item.keyPath}: ${item.reference}`)
+		super(`Unable to resolve ${unresolved.length} configuration reference${unresolved.length === 1 ? '' : 's'}:\n${lines.join('\n')}`)
+		this.name = 'InterpolationError'
+		this.unresolved = unresolved
+	}
+}
+
+/**
+ * Expands the placeholders in every string value of ${config} (in place):
+ *
+ * - ${database.host} - value of another key; if the placeholder is the entire string, the value
+ *   is used as is (e.g. numbers and objects are preserved)
+ * - ${env:PORT} - value of an environment variable
+ * - ${file:/run/secrets/db} - contents of a file (without a trailing newline) as a secret;
+ *   relative paths are relative to ${options.baseDirectory}
+ * - ${...:-default} - default value to use if the key, variable or file does not exist (or the
+ *   variable is empty)
+ * - $${...} - a literal ${...}
+ *
+ * Referenced values are themselves expanded first. If a referenced value is a secret (see
+ * lib/redact.js), any string it is embedded in also becomes a secret.
+ *
+ * @param {Object} config
+ * @param {Object} [options = {}]
+ * @param {Object} [options.env = process.env]
+ * @param {String} [options.baseDirectory = process.cwd()]
+ * @param {Object} [options.fileSystem = fs] - file system to read ${file:path} placeholders from
+ * @returns {Object} - ${config}
+ * @throws {Error} - if references form a cycle
+ * @throws {InterpolationError} - if any placeholders could not be resolved
+ */
+function interpolate(config, options = {}) {
+	let context = {
+		config,
+		env: options.env || process.env,
+		baseDirectory: options.baseDirectory || process.cwd(),
+		fileSystem: options.fileSystem || fs,
+		resolved: new Set(),
+		resolving: [],
+		unresolved: []
+	}
+	resolveValue(context, config, [])
+	if (context.unresolved.length)
+		throw new InterpolationError(context.unresolved)
+
+	return config
+}
+
+// --------------------------------------------------------
+/**
+ * @param {Object} context
+ * @param {*} value
+ * @param {Array.<String>} keyPath - key path of ${value}
+ */
+function resolveValue(context, value, keyPath) {
+	if (!value || typeof value !== 'object' || value instanceof configRedact.Secret)
+		return
+
+	Object.keys(value).forEach((key) => {
+		let childKeyPath = keyPath.concat(key)
+		if (typeof value[key] === 'string')
+			resolveLeaf(context, value, key, childKeyPath)
+		else
+			resolveValue(context, value[key], childKeyPath)
+	})
+}
+
+/**
+ * @param {Object} context
+ * @param {Object|Array} container
+ * @param {String} key
+ * @param {Array.<String>} keyPath - key path of ${container}[${key}]
+ */
+function resolveLeaf(context, container, key, keyPath) {
+	let id = keyPath.join('.')
+	if (context.resolved.has(id))
+		return
+
+	let index = context.resolving.indexOf(id)
+	if (index !== -1)
+		throw new Error(`Configuration reference cycle: ${context.resolving.slice(index).join(' -> ')} -> ${id}`)
+
+	context.resolving.push(id)
+	container[key] = expand(context, container[key], id)
+	context.resolving.pop()
+	context.resolved.add(id)
+}
+
+/**
+ * @param {Object} context
+ * @param {String} string
+ * @param {String} keyPath - dotted key path of ${string} for error reporting
+ * @returns {*}
+ */
+function expand(context, string, keyPath) {
+	let whole = string.match(kWholePlaceholder)
+	if (whole) {
+		let result = resolveReference(context, whole[1])
+		if (result.found)
+			return result.value
+
+		context.unresolved.push({keyPath, reference: string})
+		return string
+	}
+
+	let isSecret = false,
+		expanded = string.replace(kPlaceholder, (placeholder, escape, reference) => {
+			if (escape)
+				return placeholder.substr(1)
+
+			let result = resolveReference(context, reference)
+			if (!result.found) {
+				context.unresolved.push({keyPath, reference: placeholder})
+				return placeholder
+			}
+			if (result.value instanceof configRedact.Secret) {
+				isSecret = true
+				return String(result.value.reveal())
+			}
+			return typeof result.value === 'object' && result.value !== null ? JSON.stringify(result.value) : String(result.value)
+		})
+
+	return isSecret ? configRedact.secret(expanded) : expanded
+}
+
+/**
+ * @param {Object} context
+ * @param {String} reference - contents of a placeholder (e.g. 'env:PORT:-3000')
+ * @returns {Object} - {found: Boolean, value}
+ */
+function resolveReference(context, reference) {
+	let matches = reference.match(kReference),
+		type = matches[1],
+		name = matches[2],
+		hasDefault = typeof matches[3] === 'string',
+		result = {found: false, value: null}
+
+	if (type === 'env') {
+		if (name && typeof context.env[name] === 'string' && context.env[name] !== '')
+			result = {found: true, value: context.env[name]}
+	}
+	else if (type === 'file') {
+		if (name)
+			result = readFile(path.resolve(context.baseDirectory, name), context.fileSystem)
+	}
+	else if (name) {
+		result = resolveKeyPath(context, name.split('.'))
+	}
+
+	if (!result.found && hasDefault)
+		return {found: true, value: matches[3]}
+
+	return result
+}
+
+/**
+ * @param {Object} context
+ * @param {Array.<String>} keys
+ * @returns {Object} - {found: Boolean, value}; the value is fully expanded
+ */
+function resolveKeyPath(context, keys) {
+	let container = null,
+		value = context.config
+	for (let key of keys) {
+		if (!value || typeof value !== 'object' || value instanceof configRedact.Secret || !Reflect.getOwnPropertyDescriptor(value, key))
+			return {found: false, value: null}
+		container = value
+		value = value[key]
+	}
+
+	if (typeof value === 'string')
+		resolveLeaf(context, container, keys[keys.length - 1], keys)
+	else
+		resolveValue(context, value, keys)
+
+	return {found: true, value: container ? container[keys[keys.length - 1]] : value}
+}
+
+/**
+ * @param {String} file
+ * @param {Object} fileSystem
+ * @returns {Object} - {found: Boolean, value}; the value is a Secret, as files are typically used for secrets
+ */
+function readFile(file, fileSystem) {
+	try {
+		return {found: true, value: configRedact.secret(fileSystem.readFileSync(file, 'utf8').replace(/\r?\n$/, ''))}
+	}
+	catch (error) {
+		if (error.code === 'ENOENT')
+			return {found: false, value: null}
+		throw error
+	}
+}
+
+exports.InterpolationError = InterpolationError
+exports.interpolate = interpolate
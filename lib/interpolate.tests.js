@@ -0,0 +1,107 @@
+/* eslint-disable no-magic-numbers */
+'use strict'
+
+// Core
+const path = require('path')
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const configInterpolate = require('./interpolate'),
+	configRedact = require('./redact')
+
+// Constants
+const kFixturePath = path.resolve(__dirname, '..', 'test-data', 'interpolation')
+
+// --------------------------------------------------------
+describe('interpolate', function() {
+	function interpolate(config, env = {}) {
+		return configInterpolate.interpolate(config, {env, baseDirectory: kFixturePath})
+	}
+
+	it('expands references to other keys', function() {
+		let config = interpolate({
+			database: {host: 'db.local'},
+			url: 'postgres://${database.host}/app',
+			urls: ['${url}?ssl=true']
+		})
+		expect(config.url).equal('postgres://db.local/app')
+		expect(config.urls).eql(['postgres://db.local/app?ssl=true'])
+	})
+
+	it('preserves the type of values referenced by the entire string', function() {
+		let config = interpolate({
+			pool: {max: 10},
+			primary: {port: 5432},
+			replica: {port: '${primary.port}', pool: '${pool}'}
+		})
+		expect(config.replica).eql({port: 5432, pool: {max: 10}})
+	})
+
+	it('expands environment variables with optional defaults', function() {
+		let config = interpolate({
+			port: '${env:PORT:-3000}',
+			host: '${env:HOST:-localhost}',
+			empty: '${env:EMPTY:-fallback}',
+			key: '${missing.key:-default}'
+		}, {PORT: '8080', EMPTY: ''})
+		expect(config).eql({port: '8080', host: 'localhost', empty: 'fallback', key: 'default'})
+	})
+
+	it('expands file contents relative to the base directory', function() {
+		expect(interpolate({password: '${file:db-password.txt}'}).password.reveal()).equal('s3cret')
+		expect(interpolate({password: `\${file:${path.join(kFixturePath, 'db-password.txt')}}`}).password.reveal()).equal('s3cret')
+	})
+
+	it('file contents are secrets, as are strings embedding them', function() {
+		let config = interpolate({
+			password: '${file:db-password.txt}',
+			url: 'postgres://app:${file:db-password.txt}@db/app',
+			fallback: '${file:does-not-exist:-none}'
+		})
+		expect(config.password).instanceof(configRedact.Secret)
+		expect(config.url).instanceof(configRedact.Secret)
+		expect(config.url.reveal()).equal('postgres://app:s3cret@db/app')
+		expect(config.fallback).equal('none')
+	})
+
+	it('$${...} is a literal placeholder', function() {
+		expect(interpolate({a: 'x', template: '$${a} is ${a}'}).template).equal('${a} is x')
+	})
+
+	it('strings embedding a secret become secrets', function() {
+		let config = interpolate({
+			password: configRedact.secret('hunter2'),
+			url: 'postgres://app:${password}@db/app'
+		})
+		expect(config.url).instanceof(configRedact.Secret)
+		expect(config.url.reveal()).equal('postgres://app:hunter2@db/app')
+	})
+
+	it('throws on reference cycles', function() {
+		expect(() => interpolate({a: '${b}', b: 'x${c}', c: '${a}'})).throw(Error, 'Configuration reference cycle: a -> b -> c -> a')
+		expect(() => interpolate({a: {b: '${a}'}})).throw(Error, /cycle: a\.b -> a\.b/)
+	})
+
+	it('reports every unresolved reference with its key path', function() {
+		let error = null
+		try {
+			interpolate({
+				database: {url: 'postgres://${database.host}/app'},
+				port: '${env:PORT}',
+				secrets: ['${file:does-not-exist}']
+			})
+		}
+		catch (caught) {
+			error = caught
+		}
+		expect(error).instanceof(configInterpolate.InterpolationError)
+		expect(error.unresolved).eql([
+			{keyPath: 'database.url', reference: '${database.host}'},
+			{keyPath: 'port', reference: '${env:PORT}'},
+			{keyPath: 'secrets.0', reference: '${file:does-not-exist}'}
+		])
+		expect(error.message).equal('Unable to resolve 3 configuration references:\n  database.url: ${database.host}\n  port: ${env:PORT}\n  secrets.0: ${file:does-not-exist}')
+	})
+})
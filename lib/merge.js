@@ -0,0 +1,238 @@
+'use strict'
+
+// Local
+const configUtils = require('./utils')
+
+// Constants
+const kArrayMergeStrategies = ['merge', 'replace', 'concat', 'merge-by-id'],
+	kDefaultArrayMerge = 'merge',
+	kDefaultArrayIdKey = 'id',
+	kDirectives = ['$replace', '$unset', '$append'],
+	// Returned by mergeValue if the value is to be removed
+	kUnset = {}
+
+/**
+ * Merges ${value} into ${config} at ${keyPath}, creating any intermediate objects. Plain objects
+ * are merged key by key; arrays are merged according to ${options.arrayMerge}; any other value
+ * replaces the current value. Objects and arrays of ${value} are copied rather than referenced.
+ * Unsafe keys (__proto__, constructor and prototype) are skipped wherever they occur.
+ *
+ * The following directives may be used in place of any value of ${value}:
+ *
+ * - {$replace: value} - replaces the current value instead of merging with it
+ * - {$unset: true} - removes the key
+ * - {$append: [...]} - appends the items to the current array
+ *
+ * @param {Object} config
+ * @param {Array.<String>} keyPath - [] merges ${value} (if it is a plain object) directly into ${config}
+ * @param {*} value
+ * @param {Object} [options = {}]
+ * @param {String} [options.arrayMerge = 'merge'] - how to merge arrays: 'merge' (item by item), 'replace', 'concat' or 'merge-by-id' (items with the same ${options.arrayIdKey} are merged; others are appended)
+ * @param {Object} [options.arrayMergePaths = {}] - dotted key path -> array merge strategy for specific arrays
+ * @param {String} [options.arrayIdKey = 'id']
+ * @param {Function} [options.onAssign] - function(keyPath, value) called for every value assigned (other than plain objects, which are merged)
+ * @param {Function} [options.onRemove] - function(keyPath) called for every value removed or replaced as a whole
+ * @returns {Object} - ${config}
+ */
+function mergeAt(config, keyPath, value, options = {}) {
+	let context = {
+		arrayMerge: options.arrayMerge || kDefaultArrayMerge,
+		arrayMergePaths: options.arrayMergePaths || {},
+		arrayIdKey: options.arrayIdKey || kDefaultArrayIdKey,
+		onAssign: options.onAssign || noop,
+		onRemove: options.onRemove || noop
+	}
+	if (keyPath.some(configUtils.isUnsafeKey))
+		return config
+	if (!keyPath.length) {
+		if (configUtils.isPlainObject(value))
+			mergeValue(context, config, value, [])
+		return config
+	}
+
+	let parent = config
+	keyPath.slice(0, -1).forEach((key, i) => {
+		if (!parent[key] || typeof parent[key] !== 'object') {
+			if (typeof parent[key] !== 'undefined')
+				context.onRemove(keyPath.slice(0, i + 1))
+			parent[key] = {}
+		}
+		parent = parent[key]
+	})
+
+	let key = keyPath[keyPath.length - 1],
+		result = mergeValue(context, parent[key], value, keyPath)
+	if (result === kUnset)
+		Reflect.deleteProperty(parent, key)
+	else
+		parent[key] = result
+
+	return config
+}
+
+/**
+ * @param {Object} options - see mergeAt
+ * @throws {Error} - if any array merge strategy is invalid
+ */
+function validateOptions(options) {
+	let paths = options.arrayMergePaths || {},
+		invalid = [options.arrayMerge || kDefaultArrayMerge]
+		.concat(Object.keys(paths).map((keyPath) => paths[keyPath]))
+		.filter((strategy) => !kArrayMergeStrategies.includes(strategy))
+	if (invalid.length)
+		throw new Error(`Invalid array merge strategy: ${invalid[0]} (expected ${kArrayMergeStrategies.join(', ')})`)
+}
+
+// --------------------------------------------------------
+/**
+ * @param {Object} context
+ * @param {*} existing - current value at ${keyPath}
+ * @param {*} incoming - value to merge into ${existing}
+ * @param {Array.<String>} keyPath
+ * @returns {*} - merged value or kUnset if it is to be removed
+ */
+function mergeValue(context, existing, incoming, keyPath) {
+	if (typeof incoming === 'undefined')
+		return existing
+
+	let directive = getDirective(incoming, keyPath)
+	if (directive)
+		return applyDirective(context, existing, directive, incoming[directive], keyPath)
+
+	if (configUtils.isPlainObject(incoming)) {
+		let target = existing
+		if (!configUtils.isPlainObject(target)) {
+			if (typeof target !== 'undefined')
+				context.onRemove(keyPath)
+			target = {}
+		}
+		let keys = Object.keys(incoming).filter((key) => !configUtils.isUnsafeKey(key))
+		keys.forEach((key) => {
+			let result = mergeValue(context, target[key], incoming[key], keyPath.concat(key))
+			if (result === kUnset)
+				Reflect.deleteProperty(target, key)
+			else
+				target[key] = result
+		})
+		if (!keys.length && !Object.keys(target).length)
+			context.onAssign(keyPath, target)
+		return target
+	}
+
+	if (Array.isArray(incoming))
+		return mergeArray(context, existing, incoming, keyPath)
+
+	context.onAssign(keyPath, incoming)
+	return incoming
+}
+
+/**
+ * @param {Object} context
+ * @param {*} existing
+ * @param {Array} incoming
+ * @param {Array.<String>} keyPath
+ * @returns {Array}
+ */
+function mergeArray(context, existing, incoming, keyPath) {
+	let strategy = Reflect.has(context.arrayMergePaths, keyPath.join('.')) ? context.arrayMergePaths[keyPath.join('.')] : context.arrayMerge
+	if (!Array.isArray(existing) || strategy === 'replace') {
+		if (typeof existing !== 'undefined')
+			context.onRemove(keyPath)
+		return appendItems(context, [], incoming, keyPath)
+	}
+
+	if (strategy === 'concat')
+		return appendItems(context, existing, incoming, keyPath)
+
+	if (strategy === 'merge-by-id') {
+		let idKey = context.arrayIdKey
+		incoming.forEach((item) => {
+			let hasId = configUtils.isPlainObject(item) && typeof item[idKey] !== 'undefined',
+				index = hasId ? existing.findIndex((other) => configUtils.isPlainObject(other) && other[idKey] === item[idKey]) : -1
+			if (index === -1)
+				appendItems(context, existing, [item], keyPath)
+			else
+				existing[index] = mergeValue(context, existing[index], item, keyPath.concat(String(index)))
+		})
+		return existing
+	}
+
+	// Merge item by item
+	incoming.forEach((item, i) => {
+		existing[i] = mergeValue(context, existing[i], item, keyPath.concat(String(i)))
+	})
+	return existing.filter((item) => item !== kUnset)
+}
+
+/**
+ * @param {Object} context
+ * @param {Array} target
+ * @param {Array} items
+ * @param {Array.<String>} keyPath - key path of ${target}
+ * @returns {Array} - ${target}
+ */
+function appendItems(context, target, items, keyPath) {
+	items.forEach((item) => {
+		let result = mergeValue(context, undefined, item, keyPath.concat(String(target.length))) // eslint-disable-line no-undefined
+		if (result !== kUnset)
+			target.push(result)
+	})
+	if (!target.length)
+		context.onAssign(keyPath, target)
+	return target
+}
+
+/**
+ * @param {Object} context
+ * @param {*} existing
+ * @param {String} directive
+ * @param {*} argument
+ * @param {Array.<String>} keyPath
+ * @returns {*}
+ */
+function applyDirective(context, existing, directive, argument, keyPath) {
+	switch (directive) {
+		case '$unset':
+			if (typeof existing !== 'undefined')
+				context.onRemove(keyPath)
+			return kUnset
+		case '$replace':
+			if (typeof existing !== 'undefined')
+				context.onRemove(keyPath)
+			return mergeValue(context, undefined, argument, keyPath) // eslint-disable-line no-undefined
+		default:
+			if (!Array.isArray(argument))
+				throw new Error(`Invalid merge directive at ${keyPath.join('.')}: $append requires an array`)
+			if (!Array.isArray(existing)) {
+				if (typeof existing !== 'undefined')
+					context.onRemove(keyPath)
+				return appendItems(context, [], argument, keyPath)
+			}
+			return appendItems(context, existing, argument, keyPath)
+	}
+}
+
+/**
+ * @param {*} value
+ * @param {Array.<String>} keyPath
+ * @returns {String|null} - name of the directive if ${value} is a directive; null otherwise
+ */
+function getDirective(value, keyPath) {
+	if (!configUtils.isPlainObject(value))
+		return null
+
+	let keys = Object.keys(value),
+		directive = keys.find((key) => kDirectives.includes(key))
+	if (directive && keys.length > 1)
+		throw new Error(`Invalid merge directive at ${keyPath.join('.')}: ${directive} must be the only key of its object`)
+
+	return directive || null
+}
+
+function noop() {
+	// Noop
+}
+
+exports.kArrayMergeStrategies = kArrayMergeStrategies
+exports.mergeAt = mergeAt
+exports.validateOptions = validateOptions
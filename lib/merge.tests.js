@@ -0,0 +1,101 @@
+/* eslint-disable no-magic-numbers */
+'use strict'
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const configMerge = require('./merge'),
+	configRedact = require('./redact')
+
+// --------------------------------------------------------
+describe('merge', function() {
+	describe('mergeAt', function() {
+		it('merges plain objects key by key and copies them', function() {
+			let value = {b: {c: 1}},
+				config = configMerge.mergeAt({a: 1, b: {d: 2}}, [], value)
+			expect(config).eql({a: 1, b: {c: 1, d: 2}})
+
+			config = configMerge.mergeAt({}, ['x', 'y'], value)
+			expect(config).eql({x: {y: {b: {c: 1}}}})
+			expect(config.x.y.b).not.equal(value.b)
+		})
+
+		it('assigns non-plain objects as is', function() {
+			let secret = configRedact.secret('hunter2'),
+				config = configMerge.mergeAt({}, [], {password: secret})
+			expect(config.password).equal(secret)
+		})
+
+		it('skips __proto__, constructor and prototype keys', function() {
+			let config = configMerge.mergeAt({}, [], JSON.parse('{"__proto__": {"polluted": "yes"}, "a": {"constructor": {"prototype": {"polluted": "yes"}}}}'))
+			configMerge.mergeAt(config, ['__proto__', 'polluted'], 'yes')
+			expect(Object.prototype).not.property('polluted')
+			expect(config).eql({a: {}})
+		})
+
+		it('merges arrays item by item by default', function() {
+			expect(configMerge.mergeAt({a: ['x', 'y', 'z']}, [], {a: ['a']})).eql({a: ['a', 'y', 'z']})
+		})
+
+		it('supports the replace, concat and merge-by-id strategies', function() {
+			let existing = () => ({a: [{id: 1, v: 'x'}, {id: 2, v: 'y'}]}),
+				incoming = {a: [{id: 2, w: 'z'}, {id: 3}]}
+			expect(configMerge.mergeAt(existing(), [], incoming, {arrayMerge: 'replace'})).eql({a: [{id: 2, w: 'z'}, {id: 3}]})
+			expect(configMerge.mergeAt(existing(), [], incoming, {arrayMerge: 'concat'}).a).length(4)
+			expect(configMerge.mergeAt(existing(), [], incoming, {arrayMerge: 'merge-by-id'})).eql({
+				a: [{id: 1, v: 'x'}, {id: 2, v: 'y', w: 'z'}, {id: 3}]
+			})
+			expect(configMerge.mergeAt({a: [{name: 'x', v: 1}]}, [], {a: [{name: 'x', v: 2}]}, {arrayMerge: 'merge-by-id', arrayIdKey: 'name'})).eql({
+				a: [{name: 'x', v: 2}]
+			})
+		})
+
+		it('arrayMergePaths sets the strategy of specific arrays', function() {
+			let config = configMerge.mergeAt({a: [1, 2], b: {c: [1, 2]}}, [], {a: [3], b: {c: [3]}}, {
+				arrayMerge: 'concat',
+				arrayMergePaths: {'b.c': 'replace'}
+			})
+			expect(config).eql({a: [1, 2, 3], b: {c: [3]}})
+		})
+
+		it('applies the $replace, $unset and $append directives', function() {
+			let config = configMerge.mergeAt({a: {b: 1, c: 2}, d: 1, e: [1]}, [], {
+				a: {$replace: {x: 1}},
+				d: {$unset: true},
+				e: {$append: [2, 3]},
+				f: {$append: [1]},
+				g: {$unset: true}
+			})
+			expect(config).eql({a: {x: 1}, e: [1, 2, 3], f: [1]})
+		})
+
+		it('applies directives in newly assigned values', function() {
+			expect(configMerge.mergeAt({}, ['a'], {b: {$replace: [1]}, c: {$unset: true}})).eql({a: {b: [1]}})
+		})
+
+		it('throws if a directive is combined with other keys or $append is not given an array', function() {
+			expect(() => configMerge.mergeAt({}, [], {a: {$unset: true, b: 1}})).throw(Error, 'Invalid merge directive at a: $unset must be the only key of its object')
+			expect(() => configMerge.mergeAt({}, [], {a: {$append: 1}})).throw(Error, /\$append requires an array/)
+		})
+
+		it('reports assigned and removed key paths', function() {
+			let assigned = [],
+				removed = []
+			configMerge.mergeAt({a: {b: 1}, c: [1]}, [], {a: {$replace: {d: 2}}, c: {$append: [2]}, e: {}}, {
+				onAssign: (keyPath, value) => assigned.push([keyPath.join('.'), value]),
+				onRemove: (keyPath) => removed.push(keyPath.join('.'))
+			})
+			expect(assigned).eql([['a.d', 2], ['c.1', 2], ['e', {}]])
+			expect(removed).eql(['a'])
+		})
+	})
+
+	describe('validateOptions', function() {
+		it('throws on unknown strategies', function() {
+			expect(() => configMerge.validateOptions({})).not.throw()
+			expect(() => configMerge.validateOptions({arrayMerge: 'union'})).throw(Error, /Invalid array merge strategy: union/)
+			expect(() => configMerge.validateOptions({arrayMergePaths: {a: 'union'}})).throw(Error, /union/)
+		})
+	})
+})
@@ -0,0 +1,270 @@
+'use strict'
+
+// Origins of loaded configurations (only those loaded with the trackOrigins option)
+const originsByConfig = new WeakMap()
+
+// Deferred origins (see createDeferredOrigins) -> Array of the arguments of the recordOrigins and removeOrigins calls that are yet to be applied
+const pendingByOrigins = new WeakMap()
+
+// Origins -> Map of the dotted key path of every object with recorded leaves -> Set of the keys of those leaves
+const leafKeysByOrigins = new WeakMap()
+
+/**
+ * Origins map the dotted key path of every leaf configuration value to where that value came from
+ * (e.g. 'production/database.js' or 'env:DATABASE_URL') as well as the values it overrode along
+ * the way: {source, value, history: [{source, value}, ...]}. Objects and arrays are not leaves
+ * unless they are empty.
+ *
+ * @returns {Map}
+ */
+function createOrigins() {
+	let origins = new Map()
+	leafKeysByOrigins.set(origins, new Map())
+	return origins
+}
+
+/**
+ * Same as createOrigins, except that recordOrigins and removeOrigins merely log their arguments
+ * until the origins are first looked up (with findOrigin or explainOrigins), if ever. Loads that
+ * only need the origins of a few values if something goes wrong (e.g. to name the sources of
+ * schema violations) thus spend next to nothing on them otherwise.
+ *
+ * @returns {Map}
+ */
+function createDeferredOrigins() {
+	let origins = createOrigins()
+	pendingByOrigins.set(origins, [])
+	return origins
+}
+
+/**
+ * @param {Object} config - loaded configuration
+ * @param {Map} origins - origins recorded while loading ${config}
+ */
+function attachOrigins(config, origins) {
+	originsByConfig.set(config, origins)
+}
+
+/**
+ * @param {Object} config
+ * @returns {Map|null} - origins attached to ${config}; null if there are none
+ */
+function getOrigins(config) {
+	return originsByConfig.get(config) || null
+}
+
+/**
+ * Records ${source} as the origin of every leaf in ${value}, which was merged at ${keyPath}. This
+ * mirrors the lodash.merge semantics: objects and arrays are merged key by key, whereas any other
+ * value replaces whatever was previously at its key path.
+ *
+ * @param {Map} origins
+ * @param {Array.<String>} keyPath - key path at which ${value} was merged ([] for the root)
+ * @param {*} value
+ * @param {String} source
+ */
+function recordOrigins(origins, keyPath, value, source) {
+	if (pendingByOrigins.has(origins)) {
+		pendingByOrigins.get(origins).push({keyPath, value, source})
+		return
+	}
+
+	let key = keyPath.join('.')
+	if (isMergeable(value)) {
+		let childKeys = Object.keys(value)
+		if (childKeys.length) {
+			deleteLeaf(origins, key)
+			childKeys.forEach((childKey) => recordOrigins(origins, keyPath.concat(childKey), value[childKey], source))
+			return
+		}
+	}
+
+	// ${value} replaces any descendants and a leaf never has a leaf ancestor
+	deleteDescendants(origins, key)
+	for (let i = 1; i < keyPath.length; i++)
+		deleteLeaf(origins, keyPath.slice(0, i).join('.'))
+	if (!key)
+		return
+
+	let previous = origins.get(key),
+		history = previous ? previous.history.concat({source: previous.source, value: previous.value}) : []
+	origins.set(key, {source, value, history})
+	ancestorKeys(key).forEach((ancestorKey) => {
+		let leafKeys = getLeafKeys(origins)
+		if (!leafKeys.has(ancestorKey))
+			leafKeys.set(ancestorKey, new Set())
+		leafKeys.get(ancestorKey).add(key)
+	})
+}
+
+/**
+ * Forgets the origins of the value at ${keyPath} (e.g. because it was removed).
+ *
+ * @param {Map} origins
+ * @param {Array.<String>} keyPath
+ */
+function removeOrigins(origins, keyPath) {
+	if (pendingByOrigins.has(origins)) {
+		pendingByOrigins.get(origins).push({keyPath})
+		return
+	}
+
+	let key = keyPath.join('.')
+	deleteLeaf(origins, key)
+	deleteDescendants(origins, key)
+}
+
+/**
+ * @param {Map} origins
+ * @param {String|Array.<String>} keyPath
+ * @returns {String|null} - origin of ${keyPath} or its nearest ancestor with an origin; if ${keyPath} is an object, the distinct origins of its leaves separated by commas; null if none is known
+ */
+function findOrigin(origins, keyPath) {
+	applyPending(origins)
+	let keys = Array.isArray(keyPath) ? keyPath.slice() : keyPath.split('.'),
+		objectKey = keys.join('.')
+	while (keys.length) {
+		let key = keys.join('.')
+		if (origins.has(key))
+			return origins.get(key).source
+		keys.pop()
+	}
+
+	let descendantOrigins = new Set()
+	descendantKeys(origins, objectKey).forEach((key) => descendantOrigins.add(origins.get(key).source))
+	return descendantOrigins.size ? Array.from(descendantOrigins).join(', ') : null
+}
+
+/**
+ * @param {Map} origins
+ * @param {String|Array.<String>} keyPath
+ * @returns {Array.<Object>} - [{keyPath, source, value, history}, ...] for the leaf at ${keyPath} (or its nearest leaf ancestor) or every leaf below ${keyPath}, sorted by key path
+ */
+function explainOrigins(origins, keyPath) {
+	applyPending(origins)
+	let keys = Array.isArray(keyPath) ? keyPath.slice() : keyPath.split('.').filter((key) => key),
+		objectKey = keys.join('.')
+	while (keys.length) {
+		let key = keys.join('.')
+		if (origins.has(key))
+			return [explanation(key, origins.get(key))]
+		keys.pop()
+	}
+
+	return descendantKeys(origins, objectKey)
+	.sort()
+	.map((key) => explanation(key, origins.get(key)))
+}
+
+// --------------------------------------------------------
+/**
+ * Applies the logged calls of deferred origins (see createDeferredOrigins), after which they are
+ * recorded as usual.
+ *
+ * @param {Map} origins
+ */
+function applyPending(origins) {
+	let pending = pendingByOrigins.get(origins)
+	if (!pending)
+		return
+
+	pendingByOrigins.delete(origins)
+	pending.forEach((call) => {
+		if (Reflect.has(call, 'source'))
+			recordOrigins(origins, call.keyPath, call.value, call.source)
+		else
+			removeOrigins(origins, call.keyPath)
+	})
+}
+
+/**
+ * @param {Map} origins
+ * @returns {Map} - dotted key path of every object with recorded leaves -> Set of the keys of those leaves
+ */
+function getLeafKeys(origins) {
+	return leafKeysByOrigins.get(origins)
+}
+
+/**
+ * @param {String} key - dotted key path
+ * @returns {Array.<String>} - dotted key paths of the ancestors of ${key}, excluding the root (e.g. ['a', 'a.b'] for 'a.b.c')
+ */
+function ancestorKeys(key) {
+	let keys = key.split('.')
+	return keys.slice(0, -1).map((unused, i) => keys.slice(0, i + 1).join('.'))
+}
+
+/**
+ * @param {Map} origins
+ * @param {String} key - dotted key path; '' for the root
+ * @returns {Array.<String>} - keys of the leaves below ${key}
+ */
+function descendantKeys(origins, key) {
+	if (!key)
+		return Array.from(origins.keys())
+
+	let leafKeys = getLeafKeys(origins).get(key)
+	return leafKeys ? Array.from(leafKeys) : []
+}
+
+/**
+ * @param {Map} origins
+ * @param {String} key
+ */
+function deleteLeaf(origins, key) {
+	if (!origins.delete(key))
+		return
+
+	let leafKeys = getLeafKeys(origins)
+	ancestorKeys(key).forEach((ancestorKey) => {
+		let keys = leafKeys.get(ancestorKey)
+		keys.delete(key)
+		if (!keys.size)
+			leafKeys.delete(ancestorKey)
+	})
+}
+
+/**
+ * @param {Map} origins
+ * @param {String} key - dotted key path; '' for the root
+ */
+function deleteDescendants(origins, key) {
+	if (!key) {
+		origins.clear()
+		getLeafKeys(origins).clear()
+		return
+	}
+
+	descendantKeys(origins, key).forEach((descendantKey) => deleteLeaf(origins, descendantKey))
+}
+
+/**
+ * @param {String} key
+ * @param {Object} origin
+ * @returns {Object} - copy of ${origin} that includes its key path
+ */
+function explanation(key, origin) {
+	return {
+		keyPath: key,
+		source: origin.source,
+		value: origin.value,
+		history: origin.history.slice()
+	}
+}
+
+/**
+ * @param {*} value
+ * @returns {Boolean} - true if ${value} is an object or array whose keys are merged individually
+ */
+function isMergeable(value) {
+	return !!value && typeof value === 'object'
+}
+
+exports.createOrigins = createOrigins
+exports.createDeferredOrigins = createDeferredOrigins
+exports.recordOrigins = recordOrigins
+exports.removeOrigins = removeOrigins
+exports.findOrigin = findOrigin
+exports.explainOrigins = explainOrigins
+exports.attachOrigins = attachOrigins
+exports.getOrigins = getOrigins
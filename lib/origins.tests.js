@@ -0,0 +1,150 @@
+/* eslint-disable no-unused-expressions */
+'use strict'
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const configOrigins = require('./origins')
+
+// --------------------------------------------------------
+describe('origins', function() {
+	let origins = null
+
+	function sources(someOrigins) {
+		return Array.from(someOrigins.entries()).map((entry) => [entry[0], entry[1].source])
+	}
+
+	beforeEach(() => {
+		origins = configOrigins.createOrigins()
+	})
+
+	describe('recordOrigins', function() {
+		it('records the source of every leaf', function() {
+			configOrigins.recordOrigins(origins, [], {name: 'a', logging: {level: 'info', targets: ['console']}}, 'index.js')
+			expect(sources(origins)).eql([
+				['name', 'index.js'],
+				['logging.level', 'index.js'],
+				['logging.targets.0', 'index.js']
+			])
+		})
+
+		it('merged objects only replace the origins of their own leaves', function() {
+			configOrigins.recordOrigins(origins, [], {logging: {level: 'info', enabled: true}}, 'index.js')
+			configOrigins.recordOrigins(origins, ['logging'], {level: 'debug'}, 'logging.js')
+			expect(origins.get('logging.level').source).equal('logging.js')
+			expect(origins.get('logging.enabled').source).equal('index.js')
+		})
+
+		it('leaves replace the origins of any descendants', function() {
+			configOrigins.recordOrigins(origins, [], {logging: {level: 'info'}}, 'index.js')
+			configOrigins.recordOrigins(origins, ['logging'], false, 'logging.js')
+			expect(sources(origins)).eql([['logging', 'logging.js']])
+		})
+
+		it('objects replace the origin of a leaf ancestor', function() {
+			configOrigins.recordOrigins(origins, [], {logging: false}, 'index.js')
+			configOrigins.recordOrigins(origins, ['logging', 'level'], 'debug', 'env:LEVEL')
+			expect(sources(origins)).eql([['logging.level', 'env:LEVEL']])
+		})
+
+		it('empty objects are leaves', function() {
+			configOrigins.recordOrigins(origins, ['logging'], {}, 'logging.js')
+			expect(origins.get('logging').source).equal('logging.js')
+		})
+
+		it('records the history of overridden values', function() {
+			configOrigins.recordOrigins(origins, [], {database: {host: 'a'}}, 'index.js')
+			configOrigins.recordOrigins(origins, ['database'], {host: 'b'}, 'database.js')
+			configOrigins.recordOrigins(origins, ['database', 'host'], 'c', 'env:HOST')
+			expect(origins.get('database.host')).eql({
+				source: 'env:HOST',
+				value: 'c',
+				history: [
+					{source: 'index.js', value: 'a'},
+					{source: 'database.js', value: 'b'}
+				]
+			})
+		})
+	})
+
+	describe('createDeferredOrigins', function() {
+		it('records nothing until the origins are looked up', function() {
+			let deferred = configOrigins.createDeferredOrigins()
+			configOrigins.recordOrigins(deferred, [], {logging: {level: 'info', file: 'a.log'}, email: false}, 'index.js')
+			configOrigins.removeOrigins(deferred, ['logging', 'file'])
+			configOrigins.recordOrigins(deferred, ['logging', 'level'], 'debug', 'env:LEVEL')
+			expect(deferred.size).equal(0)
+			expect(configOrigins.findOrigin(deferred, 'logging')).equal('env:LEVEL')
+			expect(sources(deferred)).eql([['logging.level', 'env:LEVEL'], ['email', 'index.js']])
+		})
+	})
+
+	describe('findOrigin', function() {
+		beforeEach(() => {
+			configOrigins.recordOrigins(origins, [], {logging: {level: 'info'}, email: false}, 'index.js')
+			configOrigins.recordOrigins(origins, ['logging', 'file'], 'out.log', 'logging.js')
+		})
+
+		it('returns the origin of a leaf', function() {
+			expect(configOrigins.findOrigin(origins, 'logging.file')).equal('logging.js')
+			expect(configOrigins.findOrigin(origins, ['logging', 'level'])).equal('index.js')
+		})
+
+		it('returns the origin of the nearest ancestor', function() {
+			expect(configOrigins.findOrigin(origins, 'email.enabled')).equal('index.js')
+		})
+
+		it('returns the distinct origins of the leaves of an object', function() {
+			expect(configOrigins.findOrigin(origins, 'logging')).equal('index.js, logging.js')
+		})
+
+		it('returns null if unknown', function() {
+			expect(configOrigins.findOrigin(origins, 'database.host')).null
+		})
+	})
+
+	describe('explainOrigins', function() {
+		beforeEach(() => {
+			configOrigins.recordOrigins(origins, [], {logging: {level: 'info'}, email: false}, 'index.js')
+			configOrigins.recordOrigins(origins, ['logging'], {level: 'debug', file: 'out.log'}, 'logging.js')
+		})
+
+		it('explains a leaf', function() {
+			expect(configOrigins.explainOrigins(origins, 'logging.level')).eql([{
+				keyPath: 'logging.level',
+				source: 'logging.js',
+				value: 'debug',
+				history: [{source: 'index.js', value: 'info'}]
+			}])
+		})
+
+		it('explains the nearest leaf ancestor', function() {
+			expect(configOrigins.explainOrigins(origins, 'email.enabled')).eql([{
+				keyPath: 'email',
+				source: 'index.js',
+				value: false,
+				history: []
+			}])
+		})
+
+		it('explains every leaf of an object', function() {
+			let keyPaths = (keyPath) => configOrigins.explainOrigins(origins, keyPath).map((item) => item.keyPath)
+			expect(keyPaths('logging')).eql(['logging.file', 'logging.level'])
+			expect(keyPaths('')).eql(['email', 'logging.file', 'logging.level'])
+		})
+
+		it('returns empty array if unknown', function() {
+			expect(configOrigins.explainOrigins(origins, 'database')).eql([])
+		})
+	})
+
+	describe('attachOrigins', function() {
+		it('associates origins with a configuration', function() {
+			let config = {}
+			expect(configOrigins.getOrigins(config)).null
+			configOrigins.attachOrigins(config, origins)
+			expect(configOrigins.getOrigins(config)).equal(origins)
+		})
+	})
+})
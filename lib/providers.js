@@ -0,0 +1,322 @@
+'use strict'
+
+// Core
+const http = require('http'),
+	https = require('https'),
+	url = require('url')
+
+// Local
+const configUtils = require('./utils'),
+	envOverrides = require('./env-overrides')
+
+// Constants
+const kProviderPriorities = {
+		// Configuration files of each layer (base directory, environment, local, ...)
+		files: 100,
+		// options.secretsDirectory
+		secretsDirectory: 200,
+		// DATABASE_URL and options.connectionUrls
+		connectionUrls: 300,
+		// Default of providers passed in options.providers
+		providers: 350,
+		// options.envPrefix and options.envMapping
+		envOverrides: 400,
+		// Default of argv providers
+		argv: 500
+	},
+	kFallbacks = ['fail', 'skip'],
+	kDefaultArgvPrefix = '--config.',
+	kFirstArgumentIndex = 2, // Skip the node executable and script
+	kHttpSuccess = 200,
+	kHttpRedirect = 300,
+	kHttpClientError = 400
+
+/**
+ * Validates the providers passed in options.providers. A provider is an object:
+ *
+ * - name - identifies the provider in errors, warnings and origins (e.g. 'config-service')
+ * - load(context) - returns the partial configuration to merge (or a Promise of it; only with
+ *   loadConfig.async); ${context} is the same as that of function modules (see lib/context.js)
+ *   with a configFile of null
+ * - priority (default: 350) - providers are merged in ascending order of priority, such that
+ *   higher priorities take precedence (see kProviderPriorities for those of the built-in sources)
+ * - timeout (default: none) - milliseconds to wait for an asynchronous provider
+ * - fallback (default: 'fail') - what to do if the provider fails or times out: 'fail' rejects
+ *   the load, 'skip' continues without it, and function(error) returns the configuration to use
+ *   instead (e.g. a cached copy); both of the latter report a provider-failed warning
+ * - async (default: false) - true if load always returns a Promise; loadConfig then fails without
+ *   calling load (e.g. without sending a request that nobody waits for)
+ *
+ * @param {Array.<Object>} [providers = null]
+ * @returns {Array.<Object>} - copies of ${providers} with any defaults applied
+ */
+function normalizeProviders(providers = null) {
+	if (providers === null)
+		return []
+	if (!Array.isArray(providers))
+		throw new Error('Invalid providers option: expected an array of providers')
+
+	let names = new Set()
+	return providers.map((provider) => {
+		if (!provider || typeof provider !== 'object')
+			throw new Error('Invalid provider: expected an object with a name and load function')
+		if (typeof provider.name !== 'string' || !provider.name)
+			throw new Error('Invalid provider: name must be a non-empty string')
+		if (typeof provider.load !== 'function')
+			throw new Error(`Invalid provider, ${provider.name}: load must be a function`)
+		if (names.has(provider.name))
+			throw new Error(`Invalid provider, ${provider.name}: another provider has the same name`)
+		names.add(provider.name)
+
+		let result = Object.assign({}, provider, {
+			priority: orDefault(provider.priority, kProviderPriorities.providers),
+			timeout: orDefault(provider.timeout, null),
+			fallback: orDefault(provider.fallback, 'fail')
+		})
+		if (typeof result.priority !== 'number' || !isFinite(result.priority))
+			throw new Error(`Invalid provider, ${provider.name}: priority must be a number`)
+		if (result.timeout !== null && !(result.timeout > 0))
+			throw new Error(`Invalid provider, ${provider.name}: timeout must be a positive number of milliseconds`)
+		if (typeof result.fallback !== 'function' && !kFallbacks.includes(result.fallback))
+			throw new Error(`Invalid provider, ${provider.name}: fallback must be 'fail', 'skip' or a function`)
+		return result
+	})
+}
+
+/**
+ * @param {Array.<Object>} providers
+ * @returns {Array.<Object>} - ${providers} sorted by priority; providers of the same priority keep their order
+ */
+function sortProviders(providers) {
+	return providers
+	.map((provider, i) => ({provider, i}))
+	.sort((a, b) => a.provider.priority - b.provider.priority || a.i - b.i)
+	.map(({provider}) => provider)
+}
+
+/**
+ * @param {Object} provider - as returned by normalizeProviders
+ * @param {Object} context - passed to provider.load
+ * @param {Function} onFallback - function(message) called if the provider failed and its fallback is used instead
+ * @returns {*} - configuration to merge; null if the provider was skipped
+ */
+function loadProvider(provider, context, onFallback) {
+	if (provider.async)
+		throw new Error(`Provider ${provider.name} is asynchronous and may only be loaded with loadConfig.async()`)
+
+	let result = null
+	try {
+		result = provider.load(context)
+	}
+	catch (error) {
+		return fallBack(provider, error, onFallback)
+	}
+	if (configUtils.isPromise(result)) {
+		// The error below replaces any rejection, which would otherwise be unhandled
+		Promise.resolve(result).catch(() => null)
+		throw new Error(`Provider ${provider.name} is asynchronous and may only be loaded with loadConfig.async()`)
+	}
+
+	return result
+}
+
+/**
+ * Same as loadProvider, except that ${provider} may return a Promise, which is rejected if it does
+ * not resolve within provider.timeout milliseconds.
+ *
+ * @param {Object} provider
+ * @param {Object} context
+ * @param {Function} onFallback
+ * @returns {Promise.<*>}
+ */
+function loadProviderAsync(provider, context, onFallback) {
+	let timer = null
+	let promise = new Promise((resolve) => {
+		resolve(provider.load(context))
+	})
+	if (provider.timeout) {
+		promise = Promise.race([promise, new Promise((resolve, reject) => {
+			timer = setTimeout(() => reject(new Error(`timed out after ${provider.timeout} ms`)), provider.timeout)
+		})])
+	}
+
+	return promise
+	.then((result) => {
+		clearTimeout(timer)
+		return result
+	}, (error) => {
+		clearTimeout(timer)
+		return fallBack(provider, error, onFallback)
+	})
+}
+
+/**
+ * Creates a provider that fetches the configuration (as JSON) from an HTTP(S) config service.
+ *
+ * @param {String} serviceUrl
+ * @param {Object} [options = {}]
+ * @param {String} [options.name] - defaults to ${serviceUrl} without any credentials or query string
+ * @param {Object} [options.headers = {}] - request headers (e.g. {Authorization: 'Bearer ...'})
+ * @param {Number} [options.priority] - see normalizeProviders
+ * @param {Number} [options.timeout] - milliseconds to wait for the whole response (not just the first byte) before aborting the request
+ * @param {String|Function} [options.fallback] - see normalizeProviders
+ * @returns {Object} - provider
+ */
+function httpProvider(serviceUrl, options = {}) {
+	let parsed = url.parse(serviceUrl)
+	if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:')
+		throw new Error(`Invalid config service URL: ${serviceUrl}`)
+
+	let provider = {
+		name: options.name || `${parsed.protocol}//${parsed.host}${parsed.pathname}`,
+		async: true,
+		load: () => fetchJson(parsed, options.headers || {}, options.timeout)
+	}
+	return Object.assign(provider, pickProviderOptions(options))
+}
+
+/**
+ * Creates a provider of configuration values passed as command line arguments, e.g.
+ * --config.database.port=5432 or --config.database.port 5432. Values are converted to numbers,
+ * booleans, null, arrays and objects where possible (as with environment variable overrides).
+ *
+ * @param {Array.<String>} [args = process.argv.slice(2)]
+ * @param {Object} [options = {}]
+ * @param {String} [options.prefix = '--config.'] - prefix of the arguments to read
+ * @param {String} [options.name = 'argv']
+ * @param {Number} [options.priority = 500] - see normalizeProviders
+ * @returns {Object} - provider
+ */
+function argvProvider(args = process.argv.slice(kFirstArgumentIndex), options = {}) {
+	let prefix = options.prefix || kDefaultArgvPrefix,
+		provider = {
+			name: options.name || 'argv',
+			priority: kProviderPriorities.argv,
+			load: () => {
+				let result = {}
+				for (let i = 0; i < args.length; i++) {
+					if (!args[i].startsWith(prefix))
+						continue
+
+					let arg = args[i],
+						name = arg.substr(prefix.length),
+						separator = name.indexOf('='),
+						keyPath = (separator === -1 ? name : name.substr(0, separator)).split('.'),
+						value = separator === -1 ? args[++i] : name.substr(separator + 1)
+					if (keyPath.some((key) => !key) || typeof value !== 'string')
+						throw new Error(`Invalid argument: ${arg}`)
+
+					configUtils.setAt(result, keyPath, envOverrides.coerceValue(value))
+				}
+				return result
+			}
+		}
+	return Object.assign(provider, pickProviderOptions(options))
+}
+
+// --------------------------------------------------------
+/**
+ * @param {Object} provider
+ * @param {Error} error
+ * @param {Function} onFallback
+ * @returns {*} - configuration to merge instead; null if the provider is skipped
+ */
+function fallBack(provider, error, onFallback) {
+	if (provider.fallback === 'fail') {
+		let loadError = new Error(`Unable to load configuration from provider ${provider.name}: ${error.message}`)
+		loadError.cause = error
+		throw loadError
+	}
+
+	onFallback(`Provider ${provider.name} failed (${provider.fallback === 'skip' ? 'skipped' : 'using its fallback'}): ${error.message}`)
+	return provider.fallback === 'skip' ? null : provider.fallback(error)
+}
+
+/**
+ * @param {Object} options
+ * @returns {Object} - the priority, timeout and fallback of ${options} that are set
+ */
+function pickProviderOptions(options) {
+	let result = {}
+	;['priority', 'timeout', 'fallback'].forEach((key) => {
+		if (typeof options[key] !== 'undefined')
+			result[key] = options[key]
+	})
+	return result
+}
+
+/**
+ * Redirects are not followed, since they would send ${headers} (e.g. credentials) to wherever the
+ * response points; they are rejected with an error naming the new location instead.
+ *
+ * @param {Object} parsed - url.parse result
+ * @param {Object} headers
+ * @param {Number} [timeout] - milliseconds after which the request is aborted, however far along it is
+ * @returns {Promise.<*>}
+ */
+function fetchJson(parsed, headers, timeout) {
+	let client = parsed.protocol === 'https:' ? https : http,
+		timer = null
+	return new Promise((resolve, reject) => {
+		let request = client.get(Object.assign({}, parsed, {headers}), (response) => {
+			let status = response.statusCode
+			if (status >= kHttpRedirect && status < kHttpClientError && response.headers.location) {
+				let location = url.parse(url.resolve(parsed.href, response.headers.location))
+				response.resume()
+				reject(new Error(`the config service redirected (${status}) to ${location.protocol}//${location.host}${location.pathname}; use that URL instead`))
+				return
+			}
+
+			let body = ''
+			response.setEncoding('utf8')
+			response.on('data', (chunk) => {
+				body += chunk
+			})
+			response.on('error', reject)
+			response.on('end', () => {
+				if (status < kHttpSuccess || status >= kHttpRedirect) {
+					reject(new Error(`the config service responded with ${status}`))
+					return
+				}
+
+				try {
+					resolve(JSON.parse(body))
+				}
+				catch (error) {
+					reject(new Error(`the config service responded with invalid JSON: ${error.message}`))
+				}
+			})
+		})
+		request.on('error', reject)
+		if (timeout) {
+			timer = setTimeout(() => {
+				reject(new Error(`timed out after ${timeout} ms`))
+				request.abort()
+			}, timeout)
+		}
+	})
+	.then((result) => {
+		clearTimeout(timer)
+		return result
+	}, (error) => {
+		clearTimeout(timer)
+		throw error
+	})
+}
+
+/**
+ * @param {*} value
+ * @param {*} defaultValue
+ * @returns {*} - ${defaultValue} if ${value} is undefined or null; ${value} otherwise
+ */
+function orDefault(value, defaultValue) {
+	return value === null || typeof value === 'undefined' ? defaultValue : value
+}
+
+exports.kProviderPriorities = kProviderPriorities
+exports.normalizeProviders = normalizeProviders
+exports.sortProviders = sortProviders
+exports.loadProvider = loadProvider
+exports.loadProviderAsync = loadProviderAsync
+exports.httpProvider = httpProvider
+exports.argvProvider = argvProvider
@@ -0,0 +1,259 @@
+/* eslint-disable no-magic-numbers, no-unused-expressions */
+'use strict'
+
+// Core
+const http = require('http')
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const configProviders = require('./providers')
+
+// --------------------------------------------------------
+describe('providers', function() {
+	describe('normalizeProviders', function() {
+		it('applies the defaults', function() {
+			let load = () => ({}),
+				providers = configProviders.normalizeProviders([{name: 'a', load}, {name: 'b', load, priority: 10, timeout: 50, fallback: 'skip'}])
+			expect(providers).eql([
+				{name: 'a', load, priority: configProviders.kProviderPriorities.providers, timeout: null, fallback: 'fail'},
+				{name: 'b', load, priority: 10, timeout: 50, fallback: 'skip'}
+			])
+		})
+
+		it('throws on invalid providers', function() {
+			let load = () => ({})
+			expect(() => configProviders.normalizeProviders({})).throw('Invalid providers option')
+			expect(() => configProviders.normalizeProviders([{load}])).throw('name must be a non-empty string')
+			expect(() => configProviders.normalizeProviders([{name: 'a'}])).throw('Invalid provider, a: load must be a function')
+			expect(() => configProviders.normalizeProviders([{name: 'a', load}, {name: 'a', load}])).throw('another provider has the same name')
+			expect(() => configProviders.normalizeProviders([{name: 'a', load, priority: 'high'}])).throw('priority must be a number')
+			expect(() => configProviders.normalizeProviders([{name: 'a', load, timeout: -1}])).throw('timeout must be a positive number')
+			expect(() => configProviders.normalizeProviders([{name: 'a', load, fallback: 'retry'}])).throw('fallback must be')
+		})
+	})
+
+	describe('sortProviders', function() {
+		it('sorts by priority and keeps the order of equal priorities', function() {
+			let providers = [{name: 'a', priority: 2}, {name: 'b', priority: 1}, {name: 'c', priority: 2}, {name: 'd', priority: 1}]
+			expect(configProviders.sortProviders(providers).map((provider) => provider.name)).eql(['b', 'd', 'a', 'c'])
+		})
+	})
+
+	describe('loadProvider', function() {
+		let warnings = null,
+			onFallback = (message) => warnings.push(message),
+			failing = () => {
+				throw new Error('unavailable')
+			}
+
+		beforeEach(() => {
+			warnings = []
+		})
+
+		it('returns the configuration of the provider', function() {
+			let [provider] = configProviders.normalizeProviders([{name: 'a', load: (context) => ({env: context.env})}])
+			expect(configProviders.loadProvider(provider, {env: 'test'}, onFallback)).eql({env: 'test'})
+		})
+
+		it('fails with the name of the provider by default', function() {
+			let [provider] = configProviders.normalizeProviders([{name: 'a', load: failing}])
+			expect(() => configProviders.loadProvider(provider, {}, onFallback)).throw('Unable to load configuration from provider a: unavailable')
+		})
+
+		it('skips the provider or uses its fallback', function() {
+			let [skipped, fallback] = configProviders.normalizeProviders([
+				{name: 'a', load: failing, fallback: 'skip'},
+				{name: 'b', load: failing, fallback: (error) => ({error: error.message})}
+			])
+			expect(configProviders.loadProvider(skipped, {}, onFallback)).null
+			expect(configProviders.loadProvider(fallback, {}, onFallback)).eql({error: 'unavailable'})
+			expect(warnings).eql([
+				'Provider a failed (skipped): unavailable',
+				'Provider b failed (using its fallback): unavailable'
+			])
+		})
+
+		it('throws if the provider is asynchronous', function() {
+			let [provider] = configProviders.normalizeProviders([{name: 'a', load: () => Promise.resolve({})}])
+			expect(() => configProviders.loadProvider(provider, {}, onFallback)).throw('Provider a is asynchronous and may only be loaded with loadConfig.async()')
+		})
+
+		it('does not leave the rejection of an asynchronous provider unhandled', function() {
+			let unhandled = [],
+				onUnhandledRejection = (reason) => unhandled.push(reason),
+				[provider] = configProviders.normalizeProviders([{name: 'a', load: () => Promise.reject(new Error('unavailable'))}])
+			process.on('unhandledRejection', onUnhandledRejection)
+			expect(() => configProviders.loadProvider(provider, {}, onFallback)).throw(/asynchronous/)
+			return new Promise((resolve) => setImmediate(resolve))
+			.then(() => {
+				process.removeListener('unhandledRejection', onUnhandledRejection)
+				expect(unhandled).eql([])
+			})
+		})
+
+		it('does not load providers declared as asynchronous', function() {
+			let loaded = false,
+				[provider] = configProviders.normalizeProviders([{name: 'a', async: true, load: () => {
+					loaded = true
+					return Promise.resolve({})
+				}}])
+			expect(() => configProviders.loadProvider(provider, {}, onFallback)).throw(/asynchronous/)
+			expect(loaded).false
+			expect(configProviders.httpProvider('http://127.0.0.1/config').async).true
+		})
+	})
+
+	describe('loadProviderAsync', function() {
+		let warnings = null,
+			onFallback = (message) => warnings.push(message)
+
+		beforeEach(() => {
+			warnings = []
+		})
+
+		it('resolves the configuration of the provider', function() {
+			let [provider] = configProviders.normalizeProviders([{name: 'a', load: () => Promise.resolve({a: 1})}])
+			return configProviders.loadProviderAsync(provider, {}, onFallback)
+			.then((result) => {
+				expect(result).eql({a: 1})
+			})
+		})
+
+		it('times out', function() {
+			let [provider] = configProviders.normalizeProviders([{name: 'a', load: () => new Promise(() => {}), timeout: 10}])
+			return configProviders.loadProviderAsync(provider, {}, onFallback)
+			.then(() => {
+				throw new Error('should have timed out')
+			}, (error) => {
+				expect(error.message).equal('Unable to load configuration from provider a: timed out after 10 ms')
+			})
+		})
+
+		it('uses the fallback if the provider is rejected', function() {
+			let [provider] = configProviders.normalizeProviders([{name: 'a', load: () => Promise.reject(new Error('unavailable')), fallback: () => ({cached: true})}])
+			return configProviders.loadProviderAsync(provider, {}, onFallback)
+			.then((result) => {
+				expect(result).eql({cached: true})
+				expect(warnings).eql(['Provider a failed (using its fallback): unavailable'])
+			})
+		})
+	})
+
+	describe('httpProvider', function() {
+		let server = null,
+			baseUrl = null,
+			respond = null
+
+		before((done) => {
+			server = http.createServer((request, response) => respond(request, response))
+			server.listen(0, '127.0.0.1', () => {
+				baseUrl = `http://127.0.0.1:${server.address().port}`
+				done()
+			})
+		})
+
+		after((done) => {
+			server.close(done)
+		})
+
+		it('fetches the configuration as JSON', function() {
+			respond = (request, response) => {
+				response.setHeader('Content-Type', 'application/json')
+				response.end(JSON.stringify({token: request.headers.authorization, path: request.url}))
+			}
+			let provider = configProviders.httpProvider(`${baseUrl}/config?app=api`, {headers: {Authorization: 'Bearer x'}})
+			expect(provider.name).equal(`${baseUrl}/config`)
+			return provider.load()
+			.then((result) => {
+				expect(result).eql({token: 'Bearer x', path: '/config?app=api'})
+			})
+		})
+
+		it('rejects error responses and invalid JSON', function() {
+			respond = (request, response) => {
+				response.statusCode = request.url === '/missing' ? 404 : 200
+				response.end('<html>')
+			}
+			return configProviders.httpProvider(`${baseUrl}/missing`).load()
+			.then(() => {
+				throw new Error('should have been rejected')
+			}, (error) => {
+				expect(error.message).equal('the config service responded with 404')
+				return configProviders.httpProvider(`${baseUrl}/config`).load()
+			})
+			.then(() => {
+				throw new Error('should have been rejected')
+			}, (error) => {
+				expect(error.message).match(/^the config service responded with invalid JSON/)
+			})
+		})
+
+		it('aborts the request after the timeout', function() {
+			let pending = null
+			respond = (request, response) => {
+				pending = response
+			}
+			return configProviders.httpProvider(`${baseUrl}/slow`, {name: 'config-service', timeout: 20}).load()
+			.then(() => {
+				throw new Error('should have timed out')
+			}, (error) => {
+				expect(error.message).equal('timed out after 20 ms')
+				pending.end()
+			})
+		})
+
+		it('aborts responses that do not finish before the timeout', function() {
+			let closed = null
+			respond = (request, response) => {
+				let interval = setInterval(() => response.write(' '), 5)
+				closed = new Promise((resolve) => {
+					response.on('close', () => {
+						clearInterval(interval)
+						resolve()
+					})
+				})
+			}
+			return configProviders.httpProvider(`${baseUrl}/trickle`, {timeout: 50}).load()
+			.then(() => {
+				throw new Error('should have timed out')
+			}, (error) => {
+				expect(error.message).equal('timed out after 50 ms')
+				return closed
+			})
+		})
+
+		it('rejects redirects', function() {
+			respond = (request, response) => {
+				response.writeHead(302, {Location: '/v2/config?token=x'})
+				response.end()
+			}
+			return configProviders.httpProvider(`${baseUrl}/config`, {headers: {Authorization: 'Bearer x'}}).load()
+			.then(() => {
+				throw new Error('should have been rejected')
+			}, (error) => {
+				expect(error.message).equal(`the config service redirected (302) to ${baseUrl}/v2/config; use that URL instead`)
+			})
+		})
+
+		it('throws on URLs other than http and https', function() {
+			expect(() => configProviders.httpProvider('ftp://example.com/config')).throw('Invalid config service URL')
+		})
+	})
+
+	describe('argvProvider', function() {
+		it('reads --config. arguments', function() {
+			let provider = configProviders.argvProvider(['serve', '--config.database.port=5432', '--config.debug', 'true', '--config.name', 'api', '--verbose'])
+			expect(provider.name).equal('argv')
+			expect(provider.priority).equal(configProviders.kProviderPriorities.argv)
+			expect(provider.load()).eql({database: {port: 5432}, debug: true, name: 'api'})
+		})
+
+		it('supports another prefix and throws on invalid arguments', function() {
+			expect(configProviders.argvProvider(['--set.a.b=[1,2]'], {prefix: '--set.'}).load()).eql({a: {b: [1, 2]}})
+			expect(() => configProviders.argvProvider(['--config.a..b=1']).load()).throw('Invalid argument: --config.a..b=1')
+			expect(() => configProviders.argvProvider(['--config.a']).load()).throw('Invalid argument: --config.a')
+		})
+	})
+})
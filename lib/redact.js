@@ -0,0 +1,314 @@
+'use strict'
+
+// Core
+const util = require('util')
+
+// Local
+const configUtils = require('./utils')
+
+// Constants
+const kRedacted = '[REDACTED]',
+	kDefaultSecretPatterns = [
+		'*password*',
+		'*passwd*',
+		'*secret*',
+		'*token*',
+		'*apikey*',
+		'*api_key*',
+		'*api-key*',
+		'*privatekey*',
+		'*private_key*',
+		'*private-key*',
+		'*credential*'
+	]
+
+// Secret -> wrapped value; kept outside of the instance so that the value is not enumerable
+const secretValues = new WeakMap()
+
+// Object (or array) of a protected configuration -> {patterns, paths, keyPath}: the patterns and
+// paths the configuration was protected with and the key path of the object within it (see protect)
+const redactionsByObject = new WeakMap()
+
+/**
+ * Marks a value as secret inside a configuration file. The loader replaces it with the wrapped
+ * value and redacts it whenever the configuration is inspected or serialized.
+ */
+class Secret {
+	/**
+	 * @param {*} value
+	 */
+	constructor(value) {
+		secretValues.set(this, value)
+	}
+
+	/**
+	 * @returns {*} - the wrapped value
+	 */
+	reveal() {
+		return secretValues.get(this)
+	}
+
+	toJSON() {
+		return kRedacted
+	}
+
+	toString() {
+		return kRedacted
+	}
+
+	[util.inspect.custom]() {
+		return kRedacted
+	}
+}
+
+/**
+ * @param {*} value
+ * @returns {Secret}
+ */
+function secret(value) {
+	return new Secret(value)
+}
+
+/**
+ * @param {*} value - configuration (or any part of it)
+ * @param {Object} [options = {}]
+ * @param {Array.<String|RegExp>} [options.patterns = kDefaultSecretPatterns] - keys matching any of these patterns are redacted; strings are case insensitive globs (e.g. '*Token', 'secret*')
+ * @param {Array.<String>} [options.paths = []] - dotted key paths to redact; if ${value} is part of a protected configuration, these are relative to the configuration
+ * @returns {*} - deep copy of ${value} with the values of secret keys replaced by '[REDACTED]'; if ${value} is (part of) a protected configuration (see protect), the patterns and paths it was protected with are used by default
+ */
+function redact(value, options = {}) {
+	let defaults = getRedaction(value),
+		patterns = configUtils.toRegExps(options.patterns || defaults.patterns || kDefaultSecretPatterns),
+		paths = new Set(options.paths || defaults.paths || [])
+	return redactValue(value, patterns, paths, defaults.keyPath || [])
+}
+
+/**
+ * @param {*} value - configuration (or any part of it)
+ * @returns {*} - deep copy of ${value} with every Secret replaced by its value; unlike ${value}, the
+ * copy is not redacted when serialized or inspected (e.g. to pass the configuration to a process
+ * that expects the secrets in JSON)
+ */
+function reveal(value) {
+	if (value instanceof Secret)
+		return value.reveal()
+	if (Array.isArray(value))
+		return value.map(reveal)
+	if (!configUtils.isPlainObject(value))
+		return value
+
+	let result = {}
+	Object.keys(value).forEach((key) => {
+		result[key] = reveal(value[key])
+	})
+	return result
+}
+
+/**
+ * @param {Object} config - configuration (or any object in it)
+ * @param {Array.<String>} keyPath - relative to ${config}
+ * @returns {Boolean} - true if redact(config) redacts the value at ${keyPath}, i.e. if it or any of its ancestors is secret
+ */
+function isSecretPath(config, keyPath) {
+	let redaction = getRedaction(config)
+	return hasSecretKey(keyPath, redaction, redaction.keyPath || [])
+}
+
+/**
+ * Same as isSecretPath, but for a configuration that is yet to be protected with ${options}, e.g.
+ * while it is being validated.
+ *
+ * @param {Array.<String>} keyPath - key path of the value in the configuration
+ * @param {Object} [options = {}] - see protect
+ * @returns {Boolean} - true if protect(config, ${options}) makes redact(config) redact the value at ${keyPath}
+ */
+function isRedactedPath(keyPath, options = {}) {
+	return hasSecretKey(keyPath, options, [])
+}
+
+/**
+ * @param {String} key
+ * @param {Array.<String|RegExp>} [patterns = kDefaultSecretPatterns]
+ * @returns {Boolean} - true if ${key} matches any of ${patterns}
+ */
+function isSecretKey(key, patterns = kDefaultSecretPatterns) {
+	return configUtils.toRegExps(patterns).some((pattern) => pattern.test(key))
+}
+
+/**
+ * Replaces every Secret in ${config} with its value and makes every object that contains a secret
+ * (directly or below it) redact those secrets when serialized with JSON.stringify or inspected
+ * with util.inspect (e.g. console.log). The values themselves remain readable as usual.
+ *
+ * @param {Object} config
+ * @param {Object} [options = {}]
+ * @param {Array.<String|RegExp>} [options.patterns = kDefaultSecretPatterns] - secret key patterns (see redact)
+ * @param {Array.<String>} [options.paths = []] - dotted key paths of additional secrets
+ * @returns {Object} - ${config}
+ */
+function protect(config, options = {}) {
+	let redaction = {
+			patterns: options.patterns || kDefaultSecretPatterns,
+			paths: (options.paths || []).concat(unwrap(config))
+		},
+		regExps = configUtils.toRegExps(redaction.patterns),
+		paths = new Set(redaction.paths)
+	registerRedaction(config, redaction, [])
+	defineRedaction(config, regExps, paths, [])
+	return config
+}
+
+/**
+ * Replaces every Secret in ${config} with its value without protecting ${config}, e.g. so that the
+ * values can be validated before the configuration is complete (see protect).
+ *
+ * @param {Object} config
+ * @returns {Array.<String>} - dotted key paths of the unwrapped secrets
+ */
+function unwrap(config) {
+	let wrappedPaths = []
+	unwrapSecrets(config, [], wrappedPaths)
+	return wrappedPaths
+}
+
+/**
+ * Redacts ${target} (e.g. a Proxy of a protected configuration) and every object in it with the
+ * same patterns and paths as ${config} by default.
+ *
+ * @param {Object} config - protected configuration
+ * @param {Object} target
+ */
+function shareRedaction(config, target) {
+	let redaction = redactionsByObject.get(config)
+	if (redaction)
+		registerRedaction(target, {patterns: redaction.patterns, paths: redaction.paths}, redaction.keyPath)
+}
+
+// --------------------------------------------------------
+/**
+ * @param {*} value
+ * @returns {Object} - {patterns, paths, keyPath} if ${value} is an object of a protected configuration; {} otherwise
+ */
+function getRedaction(value) {
+	return value && typeof value === 'object' ? redactionsByObject.get(value) || {} : {}
+}
+
+/**
+ * @param {Array.<String>} keyPath - relative to ${baseKeyPath}
+ * @param {Object} redaction - {patterns, paths}
+ * @param {Array.<String>} baseKeyPath
+ * @returns {Boolean} - true if the key of the value at ${keyPath} or that of any of its ancestors below ${baseKeyPath} is secret
+ */
+function hasSecretKey(keyPath, redaction, baseKeyPath) {
+	let patterns = configUtils.toRegExps(redaction.patterns || kDefaultSecretPatterns),
+		paths = new Set(redaction.paths || [])
+	return keyPath.some((key, i) => isSecret(key, baseKeyPath.concat(keyPath.slice(0, i + 1)), patterns, paths))
+}
+
+/**
+ * @param {Object|Array} container
+ * @param {Object} redaction - {patterns, paths}
+ * @param {Array.<String>} keyPath - key path of ${container}
+ */
+function registerRedaction(container, redaction, keyPath) {
+	redactionsByObject.set(container, Object.assign({keyPath}, redaction))
+	Object.keys(container).forEach((key) => {
+		let value = container[key]
+		if (configUtils.isContainer(value))
+			registerRedaction(value, redaction, keyPath.concat(key))
+	})
+}
+
+/**
+ * @param {*} value
+ * @param {Array.<RegExp>} patterns
+ * @param {Set.<String>} paths
+ * @param {Array.<String>} keyPath
+ * @returns {*}
+ */
+function redactValue(value, patterns, paths, keyPath) {
+	if (value instanceof Secret)
+		return kRedacted
+	if (Array.isArray(value))
+		return value.map((item, i) => redactValue(item, patterns, paths, keyPath.concat(String(i))))
+	// Other objects (e.g. Dates or Buffers) are not copied key by key, which would turn them into {}
+	if (!configUtils.isPlainObject(value))
+		return value
+
+	let result = {}
+	Object.keys(value).forEach((key) => {
+		let childKeyPath = keyPath.concat(key)
+		result[key] = isSecret(key, childKeyPath, patterns, paths) ? kRedacted : redactValue(value[key], patterns, paths, childKeyPath)
+	})
+	return result
+}
+
+/**
+ * @param {String} key
+ * @param {Array.<String>} keyPath
+ * @param {Array.<RegExp>} patterns
+ * @param {Set.<String>} paths
+ * @returns {Boolean}
+ */
+function isSecret(key, keyPath, patterns, paths) {
+	return paths.has(keyPath.join('.')) || patterns.some((pattern) => pattern.test(key))
+}
+
+/**
+ * @param {Object|Array} container
+ * @param {Array.<String>} keyPath - key path of ${container}
+ * @param {Array.<String>} wrappedPaths - paths of any unwrapped secrets are appended to this array
+ */
+function unwrapSecrets(container, keyPath, wrappedPaths) {
+	Object.keys(container).forEach((key) => {
+		let value = container[key],
+			childKeyPath = keyPath.concat(key)
+		if (value instanceof Secret) {
+			container[key] = value.reveal()
+			wrappedPaths.push(childKeyPath.join('.'))
+		}
+		else if (configUtils.isContainer(value)) {
+			unwrapSecrets(value, childKeyPath, wrappedPaths)
+		}
+	})
+}
+
+/**
+ * @param {Object|Array} container
+ * @param {Array.<RegExp>} patterns
+ * @param {Set.<String>} paths
+ * @param {Array.<String>} keyPath - key path of ${container}
+ * @returns {Boolean} - true if ${container} contains a secret
+ */
+function defineRedaction(container, patterns, paths, keyPath) {
+	let containsSecret = false
+	Object.keys(container).forEach((key) => {
+		let value = container[key],
+			childKeyPath = keyPath.concat(key)
+		if (isSecret(key, childKeyPath, patterns, paths))
+			containsSecret = true
+		else if (configUtils.isContainer(value) && defineRedaction(value, patterns, paths, childKeyPath))
+			containsSecret = true
+	})
+
+	if (containsSecret && !Object.isFrozen(container)) {
+		let redacted = () => redactValue(container, patterns, paths, keyPath)
+		Reflect.defineProperty(container, 'toJSON', {value: redacted, configurable: true})
+		Reflect.defineProperty(container, util.inspect.custom, {value: redacted, configurable: true})
+	}
+
+	return containsSecret
+}
+
+exports.kRedacted = kRedacted
+exports.kDefaultSecretPatterns = kDefaultSecretPatterns
+exports.Secret = Secret
+exports.secret = secret
+exports.redact = redact
+exports.reveal = reveal
+exports.isSecretKey = isSecretKey
+exports.isSecretPath = isSecretPath
+exports.isRedactedPath = isRedactedPath
+exports.protect = protect
+exports.unwrap = unwrap
+exports.shareRedaction = shareRedaction
@@ -0,0 +1,131 @@
+/* eslint-disable no-unused-expressions */
+'use strict'
+
+// Core
+const util = require('util')
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const configRedact = require('./redact')
+
+// --------------------------------------------------------
+describe('redact', function() {
+	describe('Secret', function() {
+		it('reveals its value but never prints it', function() {
+			let secret = configRedact.secret('hunter2')
+			expect(secret.reveal()).equal('hunter2')
+			expect(String(secret)).equal('[REDACTED]')
+			expect(JSON.stringify({secret})).equal('{"secret":"[REDACTED]"}')
+			expect(util.inspect(secret)).equal('[REDACTED]')
+			expect(Object.keys(secret)).eql([])
+		})
+	})
+
+	describe('isSecretKey', function() {
+		it('matches the default patterns case insensitively', function() {
+			['password', 'dbPassword', 'SECRET', 'clientSecret', 'authToken', 'apiKey', 'api_key', 'privateKey', 'credentials']
+			.forEach((key) => expect(configRedact.isSecretKey(key), key).true)
+			;['host', 'user', 'port', 'keyspace']
+			.forEach((key) => expect(configRedact.isSecretKey(key), key).false)
+		})
+
+		it('supports glob strings and regular expressions', function() {
+			expect(configRedact.isSecretKey('authToken', ['*Token'])).true
+			expect(configRedact.isSecretKey('tokenizer', ['*Token'])).false
+			expect(configRedact.isSecretKey('secretName', ['secret*'])).true
+			expect(configRedact.isSecretKey('a.b', ['a.b'])).true
+			expect(configRedact.isSecretKey('axb', ['a.b'])).false
+			expect(configRedact.isSecretKey('pin', [/^pin$/])).true
+		})
+	})
+
+	describe('redact', function() {
+		it('returns a redacted deep copy', function() {
+			let config = {
+				database: {password: 'a', hosts: [{host: 'b', token: 'c'}]},
+				wrapped: configRedact.secret('d')
+			}
+			expect(configRedact.redact(config)).eql({
+				database: {password: '[REDACTED]', hosts: [{host: 'b', token: '[REDACTED]'}]},
+				wrapped: '[REDACTED]'
+			})
+			expect(config.database.password).equal('a')
+		})
+
+		it('keeps objects other than plain objects and arrays as they are', function() {
+			let released = new Date(0),
+				key = Buffer.from('key')
+			expect(configRedact.redact({released, key, password: 'a'})).eql({released, key, password: '[REDACTED]'})
+			expect(JSON.stringify(configRedact.protect({released, password: 'a'}))).equal('{"released":"1970-01-01T00:00:00.000Z","password":"[REDACTED]"}')
+		})
+
+		it('redacts explicit paths', function() {
+			expect(configRedact.redact({a: {b: 1, c: 2}}, {paths: ['a.b']})).eql({a: {b: '[REDACTED]', c: 2}})
+		})
+	})
+
+	describe('protect', function() {
+		it('unwraps secrets and redacts them when serialized', function() {
+			let config = configRedact.protect({
+				a: {b: configRedact.secret('hidden'), c: 'visible'},
+				d: {e: 'visible'}
+			})
+			expect(config.a.b).equal('hidden')
+			expect(JSON.stringify(config)).equal('{"a":{"b":"[REDACTED]","c":"visible"},"d":{"e":"visible"}}')
+			expect(util.inspect(config.a)).equal("{ b: '[REDACTED]', c: 'visible' }")
+			expect(configRedact.redact(config)).eql({a: {b: '[REDACTED]', c: 'visible'}, d: {e: 'visible'}})
+		})
+
+		it('redacts any object of the configuration by its key path', function() {
+			let config = configRedact.protect({
+				a: {b: configRedact.secret('hidden'), c: 'visible', d: [{e: 'hidden'}]}
+			}, {paths: ['a.d.0.e']})
+			expect(configRedact.redact(config.a)).eql({b: '[REDACTED]', c: 'visible', d: [{e: '[REDACTED]'}]})
+			expect(configRedact.redact(config.a.d)).eql([{e: '[REDACTED]'}])
+			expect(configRedact.isSecretPath(config, ['a', 'b'])).true
+			expect(configRedact.isSecretPath(config.a, ['b'])).true
+			expect(configRedact.isSecretPath(config.a.d, ['0', 'e'])).true
+			expect(configRedact.isSecretPath(config, ['a', 'c'])).false
+		})
+
+		it('isRedactedPath tells whether a value would be redacted before the configuration is protected', function() {
+			expect(configRedact.isRedactedPath(['a', 'password'])).true
+			expect(configRedact.isRedactedPath(['token', 'value'])).true
+			expect(configRedact.isRedactedPath(['a', 'b'], {paths: ['a.b']})).true
+			expect(configRedact.isRedactedPath(['a', 'password'], {patterns: ['pin']})).false
+		})
+
+		it('shareRedaction redacts the objects of a Proxy of the configuration', function() {
+			let config = configRedact.protect({a: {b: configRedact.secret('hidden')}}),
+				proxy = {a: new Proxy(config.a, {})}
+			configRedact.shareRedaction(config, proxy)
+			expect(configRedact.redact(proxy.a)).eql({b: '[REDACTED]'})
+		})
+
+		it('objects without secrets are left as is', function() {
+			let config = configRedact.protect({d: {e: 'visible'}})
+			expect(config.d.toJSON).undefined
+		})
+	})
+
+	describe('reveal', function() {
+		it('returns a deep copy that is not redacted', function() {
+			let config = configRedact.protect({a: {b: 'hidden', c: [configRedact.secret(1)]}}, {patterns: ['b']}),
+				revealed = configRedact.reveal(config)
+			expect(JSON.stringify(revealed)).equal('{"a":{"b":"hidden","c":[1]}}')
+			expect(configRedact.reveal({d: configRedact.secret('hidden'), e: new Date(0)})).eql({d: 'hidden', e: new Date(0)})
+			expect(revealed.a).not.equal(config.a)
+		})
+	})
+
+	describe('unwrap', function() {
+		it('unwraps secrets without protecting the configuration', function() {
+			let config = {a: {b: configRedact.secret('hidden'), c: [configRedact.secret(1)]}}
+			expect(configRedact.unwrap(config)).eql(['a.b', 'a.c.0'])
+			expect(config).eql({a: {b: 'hidden', c: [1]}})
+			expect(config.a.toJSON).undefined
+		})
+	})
+})
@@ -0,0 +1,129 @@
+'use strict'
+
+// Local
+const configDiff = require('./diff'),
+	configRedact = require('./redact'),
+	configUtils = require('./utils')
+
+/**
+ * Compares the configurations of two environments (e.g. staging and production). Secret values
+ * are redacted (see lib/redact.js), but are still compared.
+ *
+ * @param {Object} oldConfig
+ * @param {Object} newConfig
+ * @returns {Array.<Object>} - [{keyPath, type: 'added'|'removed'|'changed'|'type-changed', oldValue, newValue}, ...] sorted by keyPath; 'type-changed' means the value changed from one type (e.g. string) to another (e.g. number)
+ */
+function diffEnvironments(oldConfig, newConfig) {
+	let oldRedacted = configRedact.redact(oldConfig),
+		newRedacted = configRedact.redact(newConfig)
+	return configDiff.diffConfig(oldConfig, newConfig)
+	.map((difference) => {
+		let keys = difference.keyPath.split('.'),
+			type = difference.type
+		if (type === 'changed' && typeOf(difference.oldValue) !== typeOf(difference.newValue))
+			type = 'type-changed'
+
+		return {
+			keyPath: difference.keyPath,
+			type,
+			oldValue: type === 'added' ? null : valueAt(oldRedacted, keys),
+			newValue: type === 'removed' ? null : valueAt(newRedacted, keys)
+		}
+	})
+}
+
+/**
+ * Compares the configurations of several environments. Every leaf value (i.e. anything other than
+ * a plain object) is required in all environments: ${complete} is false if any key path is defined
+ * in some environments but not others.
+ *
+ * @param {Object} configs - environment name -> configuration
+ * @returns {Object} - {environments, complete, missing: [{keyPath, definedIn, missingFrom}, ...], differences: [{keyPath, values: {environment: value, ...}}, ...]}; ${differences} lists the key paths whose values are not the same in every environment that defines them; secret values are redacted
+ */
+function compareEnvironments(configs) {
+	let environments = Object.keys(configs).sort(),
+		redacted = {},
+		keyPaths = new Map()
+	environments.forEach((environment) => {
+		redacted[environment] = configRedact.redact(configs[environment])
+		collectLeaves(configs[environment], [], (keys, value) => {
+			let keyPath = keys.join('.')
+			if (!keyPaths.has(keyPath))
+				keyPaths.set(keyPath, {keys, values: new Map()})
+			keyPaths.get(keyPath).values.set(environment, value)
+		})
+	})
+
+	let missing = [],
+		differences = []
+	Array.from(keyPaths.keys()).sort()
+	.forEach((keyPath) => {
+		let {keys, values} = keyPaths.get(keyPath),
+			definedIn = environments.filter((environment) => values.has(environment))
+		if (definedIn.length < environments.length)
+			missing.push({keyPath, definedIn, missingFrom: environments.filter((environment) => !values.has(environment))})
+
+		let first = values.get(definedIn[0])
+		if (definedIn.some((environment) => !configUtils.isEqual(values.get(environment), first))) {
+			let redactedValues = {}
+			definedIn.forEach((environment) => {
+				redactedValues[environment] = valueAt(redacted[environment], keys)
+			})
+			differences.push({keyPath, values: redactedValues})
+		}
+	})
+
+	return {
+		environments,
+		complete: !missing.length,
+		missing,
+		differences
+	}
+}
+
+// --------------------------------------------------------
+/**
+ * @param {*} value
+ * @param {Array.<String>} keyPath - key path of ${value}
+ * @param {Function} callback - function(keyPath, value) called for every leaf value (including empty objects)
+ */
+function collectLeaves(value, keyPath, callback) {
+	let keys = configUtils.isPlainObject(value) ? Object.keys(value) : []
+	if (!keys.length) {
+		if (keyPath.length)
+			callback(keyPath, value)
+		return
+	}
+
+	keys.forEach((key) => collectLeaves(value[key], keyPath.concat(key), callback))
+}
+
+/**
+ * @param {*} value
+ * @param {Array.<String>} keys
+ * @returns {*} - the value at ${keys} in ${value}; null if there is none
+ */
+function valueAt(value, keys) {
+	let result = value
+	for (let key of keys) {
+		if (!result || typeof result !== 'object' || !Reflect.has(result, key))
+			return null
+		result = result[key]
+	}
+	return result
+}
+
+/**
+ * @param {*} value
+ * @returns {String} - 'array', 'null', 'object', or the typeof of ${value}
+ */
+function typeOf(value) {
+	if (Array.isArray(value))
+		return 'array'
+	if (value === null)
+		return 'null'
+	return typeof value
+}
+
+exports.diffEnvironments = diffEnvironments
+exports.compareEnvironments = compareEnvironments
@@ -0,0 +1,74 @@
+/* eslint-disable no-magic-numbers, no-unused-expressions */
+'use strict'
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const configRedact = require('./redact'),
+	configReport = require('./report')
+
+// --------------------------------------------------------
+describe('report', function() {
+	describe('diffEnvironments', function() {
+		it('reports added, removed, changed and type-changed values', function() {
+			let staging = {database: {host: 'staging-db', pool: 10, port: 5432}, debug: true},
+				production = {database: {host: 'production-db', port: '5432'}, cache: {ttl: 60}}
+			expect(configReport.diffEnvironments(staging, production)).eql([
+				{keyPath: 'cache', type: 'added', oldValue: null, newValue: {ttl: 60}},
+				{keyPath: 'database.host', type: 'changed', oldValue: 'staging-db', newValue: 'production-db'},
+				{keyPath: 'database.pool', type: 'removed', oldValue: 10, newValue: null},
+				{keyPath: 'database.port', type: 'type-changed', oldValue: 5432, newValue: '5432'},
+				{keyPath: 'debug', type: 'removed', oldValue: true, newValue: null}
+			])
+		})
+
+		it('redacts secret values', function() {
+			let staging = {database: {password: 'a'}, api: {key: 'x'}},
+				production = configRedact.protect({database: {password: 'b'}, api: {key: configRedact.secret('y')}, stripe: {apiKey: 'z'}})
+			expect(configReport.diffEnvironments(staging, production)).eql([
+				{keyPath: 'api.key', type: 'changed', oldValue: 'x', newValue: '[REDACTED]'},
+				{keyPath: 'database.password', type: 'changed', oldValue: '[REDACTED]', newValue: '[REDACTED]'},
+				{keyPath: 'stripe', type: 'added', oldValue: null, newValue: {apiKey: '[REDACTED]'}}
+			])
+		})
+	})
+
+	describe('compareEnvironments', function() {
+		it('reports the key paths missing from some environments', function() {
+			let report = configReport.compareEnvironments({
+				staging: {database: {host: 'a', pool: 10}, logging: {}},
+				production: {database: {host: 'a'}},
+				develop: {database: {host: 'a', pool: 2}}
+			})
+			expect(report.environments).eql(['develop', 'production', 'staging'])
+			expect(report.complete).false
+			expect(report.missing).eql([
+				{keyPath: 'database.pool', definedIn: ['develop', 'staging'], missingFrom: ['production']},
+				{keyPath: 'logging', definedIn: ['staging'], missingFrom: ['develop', 'production']}
+			])
+		})
+
+		it('reports the key paths whose values differ with secrets redacted', function() {
+			let report = configReport.compareEnvironments({
+				staging: {database: {host: 'a', password: 'x', hosts: ['a']}},
+				production: {database: {host: 'a', password: 'y', hosts: ['a', 'b']}}
+			})
+			expect(report.complete).true
+			expect(report.missing).eql([])
+			expect(report.differences).eql([
+				{keyPath: 'database.hosts', values: {production: ['a', 'b'], staging: ['a']}},
+				{keyPath: 'database.password', values: {production: '[REDACTED]', staging: '[REDACTED]'}}
+			])
+		})
+
+		it('a single environment is always complete', function() {
+			expect(configReport.compareEnvironments({develop: {a: 1}})).eql({
+				environments: ['develop'],
+				complete: true,
+				missing: [],
+				differences: []
+			})
+		})
+	})
+})
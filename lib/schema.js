@@ -0,0 +1,323 @@
+'use strict'
+
+// Local
+const configRedact = require('./redact'),
+	configUtils = require('./utils')
+
+// Constants
+const kTypes = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null']
+
+/**
+ * Thrown when the configuration does not satisfy its schema. Every violation is listed in the
+ * message as well as in ${violations}.
+ */
+class ValidationError extends Error {
+	/**
+	 * @param {Array.<Object>} violations - [{keyPath, message, value, source}, ...]
+	 */
+	constructor(violations) {
+		let lines = violations.map((violation) => {
+			let source = violation.source ? ` [${violation.source}]` : ''
+			return `  ${violation.keyPath || '(root)'}: ${violation.message}${source}`
+		})
+		super(`Invalid configuration (${violations.length} error${violations.length === 1 ? '' : 's'}):\n${lines.join('\n')}`)
+		this.name = 'ValidationError'
+		this.violations = violations
+	}
+}
+
+/**
+ * Validates ${config} against ${schema}, a subset of JSON Schema consisting of the type, enum,
+ * minimum, maximum, minLength, maxLength, pattern, properties, required, additionalProperties,
+ * items, minItems, maxItems, and default keywords. Other keywords are ignored.
+ *
+ * Missing properties with a default value are set (in place) to a copy of that default. If
+ * ${options.coerceTypes} is true, strings are converted (in place) to numbers, integers and
+ * booleans and vice versa where the schema requires it.
+ *
+ * @param {Object} config
+ * @param {Object} schema
+ * @param {Object} [options = {}]
+ * @param {Boolean} [options.coerceTypes = false]
+ * @param {Function} [options.sourceOf = null] - function(keyPath) that returns the source of the value at keyPath
+ * @param {Function} [options.onDefault = null] - function(keyPath, value) called whenever a default is applied
+ * @param {Function} [options.isSecret = null] - function(keyPath) that returns true if the value at keyPath is secret; such values are redacted in the violations and their messages
+ * @returns {Array.<Object>} - violations: [{keyPath, message, value, source}, ...]
+ */
+function validate(config, schema, options = {}) {
+	let violations = []
+	check(config, schema, [], {
+		coerceTypes: !!options.coerceTypes,
+		sourceOf: options.sourceOf || (() => null),
+		onDefault: options.onDefault || (() => {}),
+		isSecret: options.isSecret || (() => false),
+		violations
+	})
+	return violations
+}
+
+// --------------------------------------------------------
+// Schema builders: a terser alternative for writing the schema. Each returns plain JSON Schema.
+//
+// types.object({
+//     host: types.string(),
+//     port: types.integer({default: 5432}),
+//     ssl: types.boolean({optional: true})
+// }, {additionalProperties: false})
+//
+// Object properties are required unless their schema includes optional: true.
+const types = {
+	string: (keywords) => build('string', keywords),
+	number: (keywords) => build('number', keywords),
+	integer: (keywords) => build('integer', keywords),
+	boolean: (keywords) => build('boolean', keywords),
+	enum: (values, keywords) => Object.assign({enum: values}, keywords),
+	array: (items, keywords) => Object.assign(build('array', keywords), {items}),
+	object: (properties, keywords) => {
+		let result = Object.assign(build('object', keywords), {properties: {}}),
+			required = []
+		Object.keys(properties).forEach((key) => {
+			let property = Object.assign({}, properties[key])
+			if (property.optional)
+				Reflect.deleteProperty(property, 'optional')
+			else if (!Reflect.has(property, 'default'))
+				required.push(key)
+			result.properties[key] = property
+		})
+		if (required.length)
+			result.required = required
+		return result
+	}
+}
+
+/**
+ * @param {String} type
+ * @param {Object} [keywords = {}]
+ * @returns {Object}
+ */
+function build(type, keywords = {}) {
+	return Object.assign({type}, keywords)
+}
+
+/**
+ * @param {*} value
+ * @param {Object} schema
+ * @param {Array.<String>} keyPath
+ * @param {Object} state - {coerceTypes, sourceOf, onDefault, isSecret, violations}
+ * @returns {*} - ${value}, possibly coerced
+ */
+function check(value, schema, keyPath, state) {
+	// Secret values are neither listed in the violations nor described in their messages
+	let got = () => (state.isSecret(keyPath) ? configRedact.kRedacted : describe(value))
+	function fail(message) {
+		state.violations.push({
+			keyPath: keyPath.join('.'),
+			message,
+			value: redactSecrets(value, keyPath, state),
+			source: state.sourceOf(keyPath)
+		})
+	}
+
+	if (schema.type) {
+		let expectedTypes = Array.isArray(schema.type) ? schema.type : [schema.type]
+		expectedTypes.forEach((type) => {
+			if (!kTypes.includes(type))
+				throw new Error(`Invalid schema type at ${keyPath.join('.') || '(root)'}: ${type}`)
+		})
+
+		if (!expectedTypes.some((type) => isType(value, type)) && state.coerceTypes) {
+			let coerced = coerce(value, expectedTypes)
+			if (coerced.success)
+				value = coerced.value // eslint-disable-line no-param-reassign
+		}
+
+		if (!expectedTypes.some((type) => isType(value, type))) {
+			fail(`must be ${expectedTypes.join(' or ')} (got ${got()})`)
+			return value
+		}
+	}
+
+	if (schema.enum && !schema.enum.some((allowed) => configUtils.isEqual(allowed, value)))
+		fail(`must be one of ${schema.enum.map(describe).join(', ')} (got ${got()})`)
+
+	if (typeof value === 'number') {
+		if (typeof schema.minimum === 'number' && value < schema.minimum)
+			fail(`must be >= ${schema.minimum} (got ${got()})`)
+		if (typeof schema.maximum === 'number' && value > schema.maximum)
+			fail(`must be <= ${schema.maximum} (got ${got()})`)
+	}
+
+	if (typeof value === 'string') {
+		if (typeof schema.minLength === 'number' && value.length < schema.minLength)
+			fail(`must have at least ${schema.minLength} characters`)
+		if (typeof schema.maxLength === 'number' && value.length > schema.maxLength)
+			fail(`must have at most ${schema.maxLength} characters`)
+		if (schema.pattern && !new RegExp(schema.pattern).test(value))
+			fail(`must match pattern ${schema.pattern} (got ${got()})`)
+	}
+
+	if (Array.isArray(value)) {
+		if (typeof schema.minItems === 'number' && value.length < schema.minItems)
+			fail(`must have at least ${schema.minItems} items`)
+		if (typeof schema.maxItems === 'number' && value.length > schema.maxItems)
+			fail(`must have at most ${schema.maxItems} items`)
+		if (schema.items) {
+			value.forEach((item, i) => {
+				value[i] = check(item, schema.items, keyPath.concat(String(i)), state)
+			})
+		}
+	}
+
+	if (isType(value, 'object'))
+		checkProperties(value, schema, keyPath, state)
+
+	return value
+}
+
+/**
+ * @param {Object} object
+ * @param {Object} schema
+ * @param {Array.<String>} keyPath
+ * @param {Object} state
+ */
+function checkProperties(object, schema, keyPath, state) {
+	let properties = schema.properties || {}
+	Object.keys(properties).forEach((key) => {
+		let propertySchema = properties[key]
+		if (!Reflect.has(object, key) && Reflect.has(propertySchema, 'default')) {
+			object[key] = clone(propertySchema.default)
+			state.onDefault(keyPath.concat(key), object[key])
+		}
+	})
+
+	let required = schema.required || []
+	required.forEach((key) => {
+		if (!Reflect.has(object, key)) {
+			state.violations.push({
+				keyPath: keyPath.concat(key).join('.'),
+				message: 'is required',
+				value: null,
+				source: state.sourceOf(keyPath)
+			})
+		}
+	})
+
+	Object.keys(object).forEach((key) => {
+		let childKeyPath = keyPath.concat(key)
+		if (properties[key]) {
+			object[key] = check(object[key], properties[key], childKeyPath, state)
+			return
+		}
+
+		if (schema.additionalProperties === false) {
+			state.violations.push({
+				keyPath: childKeyPath.join('.'),
+				message: 'is not an allowed key',
+				value: redactSecrets(object[key], childKeyPath, state),
+				source: state.sourceOf(childKeyPath)
+			})
+		}
+		else if (isType(schema.additionalProperties, 'object')) {
+			object[key] = check(object[key], schema.additionalProperties, childKeyPath, state)
+		}
+	})
+}
+
+/**
+ * @param {*} value
+ * @param {Array.<String>} keyPath - key path of ${value}
+ * @param {Object} state
+ * @returns {*} - ${value}, or a copy of it, with every secret value (see options.isSecret of validate) replaced by [REDACTED]
+ */
+function redactSecrets(value, keyPath, state) {
+	if (state.isSecret(keyPath))
+		return configRedact.kRedacted
+	if (Array.isArray(value))
+		return value.map((item, i) => redactSecrets(item, keyPath.concat(String(i)), state))
+	if (!configUtils.isPlainObject(value))
+		return value
+
+	let result = {}
+	Object.keys(value).forEach((key) => {
+		result[key] = redactSecrets(value[key], keyPath.concat(key), state)
+	})
+	return result
+}
+
+/**
+ * @param {*} value
+ * @param {String} type
+ * @returns {Boolean}
+ */
+function isType(value, type) {
+	switch (type) {
+		case 'string':
+			return typeof value === 'string'
+		case 'number':
+			return typeof value === 'number' && isFinite(value)
+		case 'integer':
+			return Number.isInteger(value)
+		case 'boolean':
+			return typeof value === 'boolean'
+		case 'object':
+			return !!value && typeof value === 'object' && !Array.isArray(value)
+		case 'array':
+			return Array.isArray(value)
+		case 'null':
+			return value === null
+	}
+
+	return false
+}
+
+/**
+ * @param {*} value
+ * @param {Array.<String>} expectedTypes
+ * @returns {Object} - {success: Boolean, value}
+ */
+function coerce(value, expectedTypes) {
+	for (let type of expectedTypes) {
+		if (typeof value === 'string' && (type === 'number' || type === 'integer')) {
+			let number = value.trim() ? Number(value) : NaN
+			if (isType(number, type))
+				return {success: true, value: number}
+		}
+		else if (typeof value === 'string' && type === 'boolean' && (value === 'true' || value === 'false')) {
+			return {success: true, value: value === 'true'}
+		}
+		else if (type === 'string' && (typeof value === 'number' || typeof value === 'boolean')) {
+			return {success: true, value: String(value)}
+		}
+	}
+
+	return {success: false, value}
+}
+
+/**
+ * @param {*} value
+ * @returns {String} - short description of ${value} for error messages
+ */
+function describe(value) {
+	if (typeof value === 'string')
+		return JSON.stringify(value)
+	if (Array.isArray(value))
+		return 'array'
+	if (value === null)
+		return 'null'
+	if (typeof value === 'object')
+		return 'object'
+
+	return String(value)
+}
+
+/**
+ * @param {*} value
+ * @returns {*} - deep copy of ${value} (JSON compatible values only)
+ */
+function clone(value) {
+	return typeof value === 'object' && value !== null ? JSON.parse(JSON.stringify(value)) : value
+}
+
+exports.ValidationError = ValidationError
+exports.validate = validate
+exports.types = types
@@ -0,0 +1,162 @@
+/* eslint-disable no-magic-numbers, no-unused-expressions */
+'use strict'
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const configSchema = require('./schema')
+
+// Constants
+const types = configSchema.types
+
+// --------------------------------------------------------
+describe('schema', function() {
+	describe('validate', function() {
+		function messages(config, schema, options) {
+			return configSchema.validate(config, schema, options).map((violation) => `${violation.keyPath}: ${violation.message}`)
+		}
+
+		it('returns empty array if valid', function() {
+			expect(configSchema.validate({a: 'b'}, {type: 'object', properties: {a: {type: 'string'}}})).eql([])
+		})
+
+		it('checks types', function() {
+			let schema = {
+				type: 'object',
+				properties: {
+					string: {type: 'string'},
+					number: {type: 'number'},
+					integer: {type: 'integer'},
+					boolean: {type: 'boolean'},
+					array: {type: 'array'},
+					nullable: {type: ['string', 'null']}
+				}
+			}
+			expect(messages({string: 1, number: 'a', integer: 1.5, boolean: 0, array: {}, nullable: null}, schema)).eql([
+				'string: must be string (got 1)',
+				'number: must be number (got "a")',
+				'integer: must be integer (got 1.5)',
+				'boolean: must be boolean (got 0)',
+				'array: must be array (got object)'
+			])
+		})
+
+		it('checks enum, ranges, lengths and patterns', function() {
+			let schema = types.object({
+				level: types.enum(['debug', 'info']),
+				port: types.integer({minimum: 1, maximum: 65535}),
+				name: types.string({minLength: 2, maxLength: 3, pattern: '^[a-z]+$'}),
+				hosts: types.array(types.string(), {minItems: 1, maxItems: 1})
+			})
+			expect(messages({level: 'warn', port: 0, name: 'ABCD', hosts: ['a', 2]}, schema)).eql([
+				'level: must be one of "debug", "info" (got "warn")',
+				'port: must be >= 1 (got 0)',
+				'name: must have at most 3 characters',
+				'name: must match pattern ^[a-z]+$ (got "ABCD")',
+				'hosts: must have at most 1 items',
+				'hosts.1: must be string (got 2)'
+			])
+		})
+
+		it('reports missing required and disallowed additional properties', function() {
+			let schema = types.object({
+				database: types.object({host: types.string()}, {additionalProperties: false})
+			})
+			expect(messages({database: {hots: 'localhost'}}, schema)).eql([
+				'database.host: is required',
+				'database.hots: is not an allowed key'
+			])
+		})
+
+		it('validates additional properties against a schema', function() {
+			let schema = {type: 'object', additionalProperties: {type: 'boolean'}}
+			expect(messages({a: true, b: 'no'}, schema)).eql(['b: must be boolean (got "no")'])
+		})
+
+		it('applies defaults in place and reports them', function() {
+			let config = {},
+				defaults = []
+			configSchema.validate(config, types.object({pool: types.object({size: types.integer({default: 10})}, {default: {}})}), {
+				onDefault: (keyPath) => defaults.push(keyPath.join('.'))
+			})
+			expect(config).eql({pool: {size: 10}})
+			expect(defaults).eql(['pool', 'pool.size'])
+		})
+
+		it('coerces types in place if coerceTypes is true', function() {
+			let config = {port: '80', ssl: 'false', name: 1, bad: 'x'},
+				schema = types.object({
+					port: types.integer(),
+					ssl: types.boolean(),
+					name: types.string(),
+					bad: types.number()
+				})
+			expect(messages(config, schema, {coerceTypes: true})).eql(['bad: must be number (got "x")'])
+			expect(config).eql({port: 80, ssl: false, name: '1', bad: 'x'})
+		})
+
+		it('includes the source of each violation', function() {
+			let violations = configSchema.validate({port: 'x'}, types.object({port: types.integer()}), {
+				sourceOf: (keyPath) => `source of ${keyPath.join('.')}`
+			})
+			expect(violations[0].source).equal('source of port')
+		})
+
+		it('redacts secret values in violations and their messages', function() {
+			let violations = configSchema.validate({
+				database: {password: 'hunter2', pin: 1234, port: 'x'},
+				extra: {token: 'abc', user: 'u'}
+			}, types.object({
+				database: types.object({
+					password: types.string({pattern: '^x'}),
+					pin: types.integer({maximum: 10}),
+					port: types.integer()
+				})
+			}, {additionalProperties: false}), {
+				isSecret: (keyPath) => ['password', 'pin', 'token'].includes(keyPath[keyPath.length - 1])
+			})
+			expect(violations.map((violation) => [violation.keyPath, violation.message, violation.value])).eql([
+				['database.password', 'must match pattern ^x (got [REDACTED])', '[REDACTED]'],
+				['database.pin', 'must be <= 10 (got [REDACTED])', '[REDACTED]'],
+				['database.port', 'must be integer (got "x")', 'x'],
+				['extra', 'is not an allowed key', {token: '[REDACTED]', user: 'u'}]
+			])
+		})
+
+		it('throws error if invalid schema type', function() {
+			expect(function() {
+				configSchema.validate({}, {type: 'map'})
+			}).throw(Error)
+		})
+	})
+
+	describe('types', function() {
+		it('object properties are required unless optional or with a default', function() {
+			expect(types.object({
+				a: types.string(),
+				b: types.string({optional: true}),
+				c: types.string({default: 'c'})
+			})).eql({
+				type: 'object',
+				properties: {
+					a: {type: 'string'},
+					b: {type: 'string'},
+					c: {type: 'string', default: 'c'}
+				},
+				required: ['a']
+			})
+		})
+	})
+
+	describe('ValidationError', function() {
+		it('lists every violation in the message', function() {
+			let error = new configSchema.ValidationError([
+				{keyPath: 'a', message: 'is required', source: null},
+				{keyPath: 'b', message: 'must be string (got 1)', source: 'b.js'}
+			])
+			expect(error.message).equal('Invalid configuration (2 errors):\n  a: is required\n  b: must be string (got 1) [b.js]')
+			expect(error.violations).length(2)
+		})
+	})
+})
@@ -0,0 +1,265 @@
+'use strict'
+
+// Core
+const crypto = require('crypto'),
+	fs = require('fs'),
+	path = require('path')
+
+// Local
+const configRedact = require('./redact')
+
+// Constants
+const kFileSuffix = '_FILE',
+	kEncryptedPrefix = 'enc:v2:',
+	kEncryptedPattern = /^enc:v[0-9]+:/,
+	kCipher = 'aes-256-gcm',
+	kKeyLength = 32,
+	kSaltLength = 16,
+	kIvLength = 12,
+	kTagLength = 16,
+	kHeaderLength = kSaltLength + kIvLength + kTagLength,
+	kKeyDigest = 'sha256',
+	kKeyIterations = 100000,
+	kTrailingNewline = /\r?\n$/
+
+// Copy returned by withFileVariables -> Map of NAME -> the NAME_FILE variable it reads NAME from
+const fileVariablesByEnv = new WeakMap()
+
+/**
+ * Supports the _FILE convention of Docker and Kubernetes secrets: reading a variable, NAME, that is
+ * not set returns the contents of the file named by NAME_FILE (without a trailing newline), if that
+ * is set. Files are read when first needed and only once. Enumerating the variables (e.g. with
+ * Object.keys) lists NAME instead of NAME_FILE, without reading the file.
+ *
+ * @param {Object} env - environment variables (e.g. process.env); never modified, so it may be frozen
+ * @returns {Object} - copy of ${env} as it is now
+ */
+function withFileVariables(env) {
+	let result = {},
+		fileVariables = new Map()
+	Object.keys(env).forEach((name) => {
+		let baseName = name.endsWith(kFileSuffix) ? name.slice(0, -kFileSuffix.length) : null
+		if (!baseName || !env[name] || typeof env[baseName] !== 'undefined') {
+			if (!fileVariables.has(name))
+				Reflect.defineProperty(result, name, {value: env[name], enumerable: true, writable: true, configurable: true})
+			return
+		}
+
+		// NAME_FILE remains readable, but only NAME is listed
+		fileVariables.set(baseName, name)
+		Reflect.defineProperty(result, name, {value: env[name], writable: true, configurable: true})
+		let contents = null
+		Reflect.defineProperty(result, baseName, {
+			get: () => {
+				if (contents === null)
+					contents = readSecretFile(env[name], `environment variable, ${name}`)
+				return contents
+			},
+			enumerable: true,
+			configurable: true
+		})
+	})
+	fileVariablesByEnv.set(result, fileVariables)
+	return result
+}
+
+/**
+ * @param {Object} env - as returned by withFileVariables
+ * @param {String} name
+ * @returns {String|null} - name of the NAME_FILE variable that ${env} reads ${name} from; null if ${name} is set or there is no such variable
+ */
+function findFileVariable(env, name) {
+	let fileVariables = fileVariablesByEnv.get(env)
+	return fileVariables && fileVariables.get(name) || null
+}
+
+/**
+ * Reads a directory of secret files (e.g. /run/secrets), each of which contains a single value.
+ * The file name is the dotted key path of the value (e.g. database.password) and files in
+ * subdirectories are nested below the subdirectory name (e.g. database/password). Hidden files and
+ * directories (such as the ..data directories of Kubernetes volumes) are skipped.
+ *
+ * @param {String} directory
+ * @param {Object} [fileSystem = fs] - file system to read ${directory} from (see the fileSystem option of loadConfig)
+ * @returns {Array.<Object>} - [{keyPath: Array.<String>, value: Secret, file}, ...] sorted by file; empty if ${directory} does not exist
+ */
+function readSecretsDirectory(directory, fileSystem = fs) {
+	let result = []
+	collectSecretFiles(directory, [], result, fileSystem)
+	return result
+}
+
+/**
+ * @param {*} value
+ * @returns {Boolean} - true if ${value} is an encrypted string (see encrypt), including those of formats that decrypt does not support
+ */
+function isEncrypted(value) {
+	return typeof value === 'string' && kEncryptedPattern.test(value)
+}
+
+/**
+ * Encrypts ${value} with AES-256-GCM. The encryption key is derived from ${key} with PBKDF2 and a
+ * random salt, which is stored along with the encrypted value.
+ *
+ * @param {String} value
+ * @param {String} key - any string; a long random one is recommended (e.g. openssl rand -base64 32)
+ * @returns {String} - 'enc:v2:' followed by the base64 encoded salt, IV, authentication tag and cipher text
+ */
+function encrypt(value, key) {
+	if (typeof value !== 'string')
+		throw new Error('Only strings may be encrypted')
+	requireKey(key)
+
+	let salt = crypto.randomBytes(kSaltLength),
+		iv = crypto.randomBytes(kIvLength),
+		cipher = crypto.createCipheriv(kCipher, deriveKey(key, salt), iv),
+		cipherText = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()])
+	return kEncryptedPrefix + Buffer.concat([salt, iv, cipher.getAuthTag(), cipherText]).toString('base64')
+}
+
+/**
+ * @param {String} encrypted - as returned by encrypt
+ * @param {String} key - the key that ${encrypted} was encrypted with
+ * @returns {String}
+ * @throws {Error} - if ${key} is not the right key or ${encrypted} has been modified
+ */
+function decrypt(encrypted, key) {
+	if (typeof encrypted !== 'string' || !encrypted.startsWith(kEncryptedPrefix))
+		throw new Error(`Encrypted values must begin with ${kEncryptedPrefix} (encrypt the value again if it was encrypted with an earlier version)`)
+	requireKey(key)
+
+	let payload = Buffer.from(encrypted.substr(kEncryptedPrefix.length), 'base64')
+	if (payload.length < kHeaderLength)
+		throw new Error('encrypted value is truncated')
+
+	let salt = payload.slice(0, kSaltLength),
+		iv = payload.slice(kSaltLength, kSaltLength + kIvLength),
+		decipher = crypto.createDecipheriv(kCipher, deriveKey(key, salt), iv)
+	decipher.setAuthTag(payload.slice(kSaltLength + kIvLength, kHeaderLength))
+	try {
+		return Buffer.concat([decipher.update(payload.slice(kHeaderLength)), decipher.final()]).toString('utf8')
+	}
+	catch (error) {
+		throw new Error('wrong key or corrupted value')
+	}
+}
+
+/**
+ * Replaces every encrypted string in ${config} (in place) with a secret containing the decrypted
+ * value, so that it is redacted whenever the configuration is inspected or serialized.
+ *
+ * @param {Object} config
+ * @param {String|Function} key - decryption key or function that returns it; a function is only called if there is anything to decrypt
+ * @returns {Array.<Array.<String>>} - key paths of the decrypted values
+ * @throws {Error} - naming the key path of the first value that could not be decrypted
+ */
+function decryptValues(config, key) {
+	let keyPaths = [],
+		resolvedKey = null
+	findEncrypted(config, [], keyPaths)
+	keyPaths.forEach((keyPath) => {
+		let parent = keyPath.slice(0, -1).reduce((value, segment) => value[segment], config),
+			last = keyPath[keyPath.length - 1]
+		if (resolvedKey === null)
+			resolvedKey = typeof key === 'function' ? key() : key
+		if (!resolvedKey)
+			throw new Error(`Unable to decrypt ${keyPath.join('.')}: no decryption key`)
+
+		try {
+			parent[last] = configRedact.secret(decrypt(parent[last], resolvedKey))
+		}
+		catch (error) {
+			throw new Error(`Unable to decrypt ${keyPath.join('.')}: ${error.message}`)
+		}
+	})
+	return keyPaths
+}
+
+/**
+ * @param {String} file
+ * @param {String} description - of what named ${file} for error messages
+ * @param {Object} [fileSystem = fs]
+ * @returns {String} - contents of ${file} without a trailing newline
+ */
+function readSecretFile(file, description, fileSystem = fs) {
+	try {
+		return fileSystem.readFileSync(file, 'utf8').replace(kTrailingNewline, '')
+	}
+	catch (error) {
+		throw new Error(`Unable to read ${file} (from ${description}): ${error.message}`)
+	}
+}
+
+// --------------------------------------------------------
+/**
+ * @param {String} directory
+ * @param {Array.<String>} namespace - key path of ${directory}
+ * @param {Array.<Object>} result
+ * @param {Object} fileSystem
+ */
+function collectSecretFiles(directory, namespace, result, fileSystem) {
+	let fileNames = []
+	try {
+		fileNames = fileSystem.readdirSync(directory)
+	}
+	catch (error) {
+		if (error.code === 'ENOENT')
+			return
+		throw error
+	}
+
+	fileNames
+	.filter((fileName) => !fileName.startsWith('.'))
+	.sort()
+	.forEach((fileName) => {
+		let file = path.resolve(directory, fileName),
+			keyPath = namespace.concat(fileName.split('.'))
+		if (fileSystem.statSync(file).isDirectory())
+			collectSecretFiles(file, keyPath, result, fileSystem)
+		else
+			result.push({keyPath, value: configRedact.secret(readSecretFile(file, 'secrets directory', fileSystem)), file})
+	})
+}
+
+/**
+ * @param {*} value
+ * @param {Array.<String>} keyPath
+ * @param {Array.<Array.<String>>} result - key paths of encrypted strings are appended to this array
+ */
+function findEncrypted(value, keyPath, result) {
+	if (isEncrypted(value)) {
+		result.push(keyPath)
+		return
+	}
+	if (!value || typeof value !== 'object' || value instanceof configRedact.Secret)
+		return
+
+	Object.keys(value).forEach((key) => findEncrypted(value[key], keyPath.concat(key), result))
+}
+
+/**
+ * @param {String} key
+ * @param {Buffer} salt
+ * @returns {Buffer} - 256-bit encryption key
+ */
+function deriveKey(key, salt) {
+	return crypto.pbkdf2Sync(key, salt, kKeyIterations, kKeyLength, kKeyDigest)
+}
+
+/**
+ * @param {*} key
+ */
+function requireKey(key) {
+	if (typeof key !== 'string' || !key)
+		throw new Error('encryption key must be a non-empty string')
+}
+
+exports.kEncryptedPrefix = kEncryptedPrefix
+exports.withFileVariables = withFileVariables
+exports.findFileVariable = findFileVariable
+exports.readSecretsDirectory = readSecretsDirectory
+exports.readSecretFile = readSecretFile
+exports.isEncrypted = isEncrypted
+exports.encrypt = encrypt
+exports.decrypt = decrypt
+exports.decryptValues = decryptValues
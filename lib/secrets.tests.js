@@ -0,0 +1,135 @@
+/* eslint-disable no-magic-numbers, no-unused-expressions */
+'use strict'
+
+// Core
+const path = require('path')
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const configRedact = require('./redact'),
+	configSecrets = require('./secrets')
+
+// Constants
+const kTestRootPath = path.resolve(__dirname, '..', 'test-data'),
+	kSecretsPath = path.join(kTestRootPath, 'secrets.directory')
+
+// --------------------------------------------------------
+describe('secrets', function() {
+	describe('withFileVariables', function() {
+		let env = configSecrets.withFileVariables({
+			DATABASE_URL_FILE: path.join(kSecretsPath, '.database-url'),
+			PASSWORD: 'set',
+			PASSWORD_FILE: path.join(kSecretsPath, 'database.password'),
+			MISSING_FILE: path.join(kSecretsPath, 'missing')
+		})
+
+		it('reads unset variables from the file named by NAME_FILE', function() {
+			expect(env.DATABASE_URL).equal('postgres://app:pw@db.example.com/app')
+			expect(Reflect.has(env, 'DATABASE_URL')).true
+			expect(env.DATABASE_URL_FILE).equal(path.join(kSecretsPath, '.database-url'))
+		})
+
+		it('prefers variables that are set', function() {
+			expect(env.PASSWORD).equal('set')
+		})
+
+		it('returns undefined for variables without either', function() {
+			expect(env.OTHER).undefined
+			expect(Reflect.has(env, 'OTHER')).false
+		})
+
+		it('throws if the file cannot be read', function() {
+			expect(() => env.MISSING).throw(Error, /Unable to read .*missing \(from environment variable, MISSING_FILE\)/)
+		})
+
+		it('lists NAME instead of NAME_FILE without reading the file', function() {
+			expect(Object.keys(env)).eql(['DATABASE_URL', 'PASSWORD', 'PASSWORD_FILE', 'MISSING'])
+			expect(configSecrets.findFileVariable(env, 'DATABASE_URL')).equal('DATABASE_URL_FILE')
+			expect(configSecrets.findFileVariable(env, 'PASSWORD')).null
+			expect(configSecrets.findFileVariable({DATABASE_URL_FILE: 'file'}, 'DATABASE_URL')).null
+		})
+
+		it('supports frozen environment variables', function() {
+			let frozenEnv = configSecrets.withFileVariables(Object.freeze({
+				DATABASE_URL_FILE: path.join(kSecretsPath, '.database-url'),
+				NODE_ENV: 'production'
+			}))
+			expect(Object.keys(frozenEnv)).eql(['DATABASE_URL', 'NODE_ENV'])
+			expect(frozenEnv.DATABASE_URL).equal('postgres://app:pw@db.example.com/app')
+		})
+	})
+
+	describe('readSecretsDirectory', function() {
+		it('maps file names and subdirectories to key paths', function() {
+			let result = configSecrets.readSecretsDirectory(kSecretsPath)
+			expect(result.map((secretFile) => secretFile.keyPath)).eql([['database', 'password'], ['stripe', 'api_key']])
+			expect(result[0].value).instanceof(configRedact.Secret)
+			expect(result[0].value.reveal()).equal('s3cret')
+			expect(result[1].file).equal(path.join(kSecretsPath, 'stripe', 'api_key'))
+		})
+
+		it('returns empty array if the directory does not exist', function() {
+			expect(configSecrets.readSecretsDirectory(path.join(kSecretsPath, 'missing'))).eql([])
+		})
+	})
+
+	describe('encrypt / decrypt', function() {
+		it('round trips values', function() {
+			let encrypted = configSecrets.encrypt('hunter2', 'key')
+			expect(encrypted.startsWith('enc:v2:')).true
+			expect(configSecrets.isEncrypted(encrypted)).true
+			expect(configSecrets.encrypt('hunter2', 'key')).not.equal(encrypted)
+			expect(configSecrets.decrypt(encrypted, 'key')).equal('hunter2')
+		})
+
+		it('throws on the wrong key or a modified value', function() {
+			let encrypted = configSecrets.encrypt('hunter2', 'key')
+			expect(() => configSecrets.decrypt(encrypted, 'other')).throw(Error, 'wrong key or corrupted value')
+			expect(() => configSecrets.decrypt(encrypted.slice(0, -4) + 'AAA=', 'key')).throw(Error, 'wrong key or corrupted value')
+			expect(() => configSecrets.decrypt('enc:v2:AAAA', 'key')).throw(Error, /truncated/)
+		})
+
+		it('derives the key with a random salt that is stored in the value', function() {
+			let payloads = [configSecrets.encrypt('hunter2', 'key'), configSecrets.encrypt('hunter2', 'key')]
+			.map((encrypted) => Buffer.from(encrypted.substr('enc:v2:'.length), 'base64'))
+			expect(payloads[0].length).equal(16 + 12 + 16 + 'hunter2'.length)
+			expect(payloads[0].slice(0, 16).equals(payloads[1].slice(0, 16))).false
+		})
+
+		it('rejects values of other formats', function() {
+			expect(configSecrets.isEncrypted('enc:v1:K7REKOyLQyPopN8l/uhd/0lKPn84GLbakOoAet5M1YnRkNI=')).true
+			expect(() => configSecrets.decrypt('enc:v1:K7REKOyLQyPopN8l/uhd/0lKPn84GLbakOoAet5M1YnRkNI=', 'key'))
+			.throw(Error, /must begin with enc:v2:/)
+		})
+
+		it('requires a string value and key', function() {
+			expect(() => configSecrets.encrypt(1, 'key')).throw(Error)
+			expect(() => configSecrets.encrypt('value', '')).throw(Error, /key/)
+		})
+	})
+
+	describe('decryptValues', function() {
+		it('replaces encrypted strings with secrets', function() {
+			let config = {database: {password: configSecrets.encrypt('hunter2', 'key'), host: 'localhost'}, hosts: [configSecrets.encrypt('a', 'key')]},
+				keyPaths = configSecrets.decryptValues(config, 'key')
+			expect(keyPaths).eql([['database', 'password'], ['hosts', '0']])
+			expect(config.database.password.reveal()).equal('hunter2')
+			expect(config.hosts[0].reveal()).equal('a')
+			expect(config.database.host).equal('localhost')
+		})
+
+		it('only asks for the key if there is anything to decrypt', function() {
+			configSecrets.decryptValues({a: 1}, () => {
+				throw new Error('unexpected call')
+			})
+		})
+
+		it('throws naming the key path that could not be decrypted', function() {
+			let config = {database: {password: configSecrets.encrypt('hunter2', 'key')}}
+			expect(() => configSecrets.decryptValues(config, null)).throw(Error, 'Unable to decrypt database.password: no decryption key')
+			expect(() => configSecrets.decryptValues(config, 'other')).throw(Error, 'Unable to decrypt database.password: wrong key or corrupted value')
+		})
+	})
+})
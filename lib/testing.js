@@ -0,0 +1,355 @@
+'use strict'
+
+// Core
+const path = require('path')
+
+// Local
+const configUtils = require('./utils'),
+	loadConfig = require('../index')
+
+// Constants
+const kDefaultFixtureDirectory = 'config',
+	kModuleExtensions = ['.js', '.cjs', '.mjs']
+
+// Restore functions of the overrides that have not been restored yet (oldest first)
+const activeOverrides = []
+
+// Configuration that withConfig(overrides, fn) applies to (see useConfig)
+let defaultConfig = null
+
+// Copy of process.env taken before each test by the hooks of registerHooks
+let savedEnv = null
+
+/**
+ * Sets the configuration that withConfig applies overrides to if none is passed, e.g. in a mocha
+ * setup file or jest setupFiles module:
+ *
+ *   testing.useConfig(require('../config'))
+ *
+ * @param {Object} config - loaded configuration
+ */
+function useConfig(config) {
+	defaultConfig = config
+}
+
+/**
+ * Deep-applies ${overrides} to ${config} (in place). Plain objects are applied key by key and any
+ * other value replaces the current one; {$unset: true} removes a key.
+ *
+ * @param {Object} config - loaded configuration; immutable configurations may not be overridden
+ * @param {Object} overrides - e.g. {features: {signup: false}}
+ * @returns {Function} - restores ${config} to its state before the overrides (only the keys that were overridden are restored)
+ */
+function override(config, overrides) {
+	if (!configUtils.isPlainObject(config))
+		throw new Error('override requires a loaded configuration object')
+	if (Object.isFrozen(config))
+		throw new Error('Unable to override an immutable configuration; load it without the immutable and strictAccess options in tests')
+	if (!configUtils.isPlainObject(overrides))
+		throw new Error('overrides must be an object')
+
+	let changes = []
+	applyOverrides(config, overrides, changes)
+
+	let restore = () => {
+		let index = activeOverrides.indexOf(restore)
+		if (index === -1)
+			return
+
+		activeOverrides.splice(index, 1)
+		changes.reverse().forEach((change) => {
+			if (change.existed)
+				change.target[change.key] = change.value
+			else
+				Reflect.deleteProperty(change.target, change.key)
+		})
+	}
+	activeOverrides.push(restore)
+	return restore
+}
+
+/**
+ * Calls ${fn} with ${overrides} applied to the configuration (see override) and restores it
+ * afterwards, whether ${fn} returns, throws, or returns a Promise that is resolved or rejected.
+ * Overlapping asynchronous calls that override the same keys restore them in the order they
+ * finish, so run them one at a time.
+ *
+ *   it('rejects signups when disabled', () => withConfig(config, {features: {signup: false}}, () => {
+ *       return request(app).post('/signup').expect(403)
+ *   }))
+ *
+ * @param {Object} [config] - defaults to the configuration set with useConfig
+ * @param {Object} overrides
+ * @param {Function} fn - function(config)
+ * @returns {*} - the result of ${fn}
+ */
+function withConfig(...args) {
+	let fn = args.pop(),
+		overrides = args.pop(),
+		config = args.length ? args[0] : defaultConfig
+	if (!config)
+		throw new Error('withConfig requires a configuration: pass one or call useConfig(config) first')
+	if (typeof fn !== 'function')
+		throw new Error('withConfig requires a function to call with the overrides applied')
+
+	let restore = override(config, overrides),
+		result = null
+	try {
+		result = fn(config)
+	}
+	catch (error) {
+		restore()
+		throw error
+	}
+
+	if (!configUtils.isPromise(result)) {
+		restore()
+		return result
+	}
+
+	return result.then((value) => {
+		restore()
+		return value
+	}, (error) => {
+		restore()
+		throw error
+	})
+}
+
+/**
+ * Restores every override that has not been restored yet, most recent first.
+ */
+function restoreAll() {
+	activeOverrides.slice().reverse()
+	.forEach((restore) => restore())
+}
+
+/**
+ * Loads a configuration from an in-memory tree of files instead of the disk. Keys are file paths
+ * relative to the configuration directory and values their contents. Javascript modules (.js and
+ * .cjs) may also be given as their exports (e.g. an object or a function of the context), and ES
+ * modules (.mjs) only as their exports, since node cannot import them from memory. JSON files may
+ * be given as the value to serialize. A path ending in / is an empty directory.
+ *
+ *   testing.loadFixture({
+ *       'index.js': {name: 'api'},
+ *       'database.yaml': 'host: localhost\nport: 5432',
+ *       'production/database.js': (context) => ({host: context.processEnv.DB_HOST})
+ *   }, null, {environment: 'production', env: {DB_HOST: 'db'}, includeRootIndex: true})
+ *
+ * Unlike loadConfig, the environment variables default to none (options.env = {}) so that the
+ * result does not depend on process.env.
+ *
+ * @param {Object} files - relative path -> contents
+ * @param {Object} [config = {}] - see loadConfig
+ * @param {Object} [options = {}] - see loadConfig
+ * @param {String} [options.directory = ${process.cwd()}/config] - (virtual) path of the configuration directory; javascript modules require other modules relative to it
+ * @returns {Object}
+ */
+function loadFixture(files, config = {}, options = {}) {
+	let fixture = fixtureOptions(files, options)
+	return loadConfig(fixture.directory, config, fixture.options)
+}
+
+/**
+ * Same as loadFixture, but loads the configuration with loadConfig.async.
+ *
+ * @param {Object} files
+ * @param {Object} [config = {}]
+ * @param {Object} [options = {}]
+ * @returns {Promise.<Object>}
+ */
+loadFixture.async = function(files, config = {}, options = {}) {
+	return new Promise((resolve) => {
+		let fixture = fixtureOptions(files, options)
+		resolve(loadConfig.async(fixture.directory, config, fixture.options))
+	})
+}
+
+/**
+ * @param {String} directory - absolute path of the root directory
+ * @param {Object} files - see loadFixture
+ * @returns {Object} - file system (with readdirSync, statSync and readFileSync methods like those of fs) containing solely ${files}
+ */
+function createFileSystem(directory, files) {
+	// Absolute path -> {directory: Boolean, contents: String, children: Set}
+	let entries = new Map(),
+		moduleExports = new Map(),
+		addDirectory = (directoryPath) => {
+			let entry = entries.get(directoryPath)
+			if (entry && !entry.directory)
+				throw new Error(`Virtual file ${path.relative(directory, directoryPath)} is also used as a directory`)
+			if (entry)
+				return
+
+			entries.set(directoryPath, {directory: true, children: new Set()})
+			if (directoryPath !== directory) {
+				addDirectory(path.dirname(directoryPath))
+				entries.get(path.dirname(directoryPath)).children.add(path.basename(directoryPath))
+			}
+		}
+
+	addDirectory(directory)
+	Object.keys(files).forEach((name) => {
+		let filePath = path.resolve(directory, name),
+			value = files[name]
+		if (!filePath.startsWith(directory + path.sep))
+			throw new Error(`Virtual file ${name} is outside of the configuration directory`)
+		if (name.endsWith('/')) {
+			addDirectory(filePath)
+			return
+		}
+
+		let contents = value
+		if (typeof value !== 'string') {
+			if (kModuleExtensions.includes(path.extname(filePath)))
+				moduleExports.set(filePath, value)
+			else if (path.extname(filePath) === '.json')
+				contents = JSON.stringify(value)
+			else
+				throw new Error(`Virtual file ${name} must be a string`)
+		}
+
+		addDirectory(path.dirname(filePath))
+		if (entries.has(filePath))
+			throw new Error(`Virtual file ${name} is also used as a directory`)
+		entries.set(filePath, {directory: false, contents: typeof contents === 'string' ? contents : ''})
+		entries.get(path.dirname(filePath)).children.add(path.basename(filePath))
+	})
+
+	let find = (filePath, syscall) => {
+		let resolvedPath = path.resolve(filePath),
+			entry = entries.get(resolvedPath)
+		if (entry)
+			return entry
+
+		// As with fs, a path below a file is not a directory rather than missing
+		let parent = path.dirname(resolvedPath)
+		while (parent !== path.dirname(parent) && !entries.has(parent))
+			parent = path.dirname(parent)
+		let code = entries.has(parent) && !entries.get(parent).directory ? 'ENOTDIR' : 'ENOENT'
+		throw fileSystemError(code, syscall, filePath)
+	}
+
+	return {
+		moduleExports,
+		readdirSync(directoryPath) {
+			let entry = find(directoryPath, 'scandir')
+			if (!entry.directory)
+				throw fileSystemError('ENOTDIR', 'scandir', directoryPath)
+			return Array.from(entry.children).sort()
+		},
+		statSync(filePath) {
+			let entry = find(filePath, 'stat')
+			return {
+				isFile: () => !entry.directory,
+				isDirectory: () => entry.directory
+			}
+		},
+		readFileSync(filePath) {
+			let entry = find(filePath, 'open')
+			if (entry.directory)
+				throw fileSystemError('EISDIR', 'read', filePath)
+			return entry.contents
+		}
+	}
+}
+
+/**
+ * Registers hooks with the test framework that reset the state changed by a test after it has
+ * run: overrides that have not been restored (see override) are restored and process.env (e.g.
+ * NODE_ENV) is restored to its state before the test. Call it at the top level of a test file (or
+ * a setup file) for every test, or within a describe block for the tests of that block.
+ *
+ * @param {Object} [hooks = global] - {beforeEach, afterEach} functions of the test framework; mocha and jest define these globally
+ */
+function registerHooks(hooks = global) {
+	if (typeof hooks.beforeEach !== 'function' || typeof hooks.afterEach !== 'function')
+		throw new Error('registerHooks requires the beforeEach and afterEach functions of the test framework')
+
+	hooks.beforeEach(() => {
+		savedEnv = Object.assign({}, process.env)
+	})
+	hooks.afterEach(() => {
+		reset()
+	})
+}
+
+/**
+ * Restores every override (see restoreAll) and, if registerHooks saved it before the current
+ * test, process.env.
+ */
+function reset() {
+	restoreAll()
+	if (!savedEnv)
+		return
+
+	Object.keys(process.env)
+	.filter((name) => !Reflect.has(savedEnv, name))
+	.forEach((name) => Reflect.deleteProperty(process.env, name))
+	Object.assign(process.env, savedEnv)
+	savedEnv = null
+}
+
+// --------------------------------------------------------
+/**
+ * @param {Object} files
+ * @param {Object} options
+ * @returns {Object} - {directory, options}; ${options} of loadConfig with the file system of ${files}
+ */
+function fixtureOptions(files, options) {
+	if (!configUtils.isPlainObject(files))
+		throw new Error('loadFixture requires an object of virtual files (relative path -> contents)')
+
+	let directory = path.resolve(options.directory || path.join(process.cwd(), kDefaultFixtureDirectory)),
+		loadOptions = Object.assign({env: {}}, options, {fileSystem: createFileSystem(directory, files)})
+	Reflect.deleteProperty(loadOptions, 'directory')
+	return {directory, options: loadOptions}
+}
+
+/**
+ * @param {Object} target
+ * @param {Object} overrides
+ * @param {Array.<Object>} changes - {target, key, existed, value} of every key that is replaced or removed is appended to this array
+ */
+function applyOverrides(target, overrides, changes) {
+	Object.keys(overrides)
+	.filter((key) => !configUtils.isUnsafeKey(key))
+	.forEach((key) => {
+		let value = overrides[key],
+			isUnset = configUtils.isPlainObject(value) && value.$unset === true
+		if (configUtils.isPlainObject(value) && !isUnset && configUtils.isPlainObject(target[key])) {
+			applyOverrides(target[key], value, changes)
+			return
+		}
+
+		changes.push({target, key, existed: !!Reflect.getOwnPropertyDescriptor(target, key), value: target[key]})
+		if (isUnset)
+			Reflect.deleteProperty(target, key)
+		else
+			target[key] = value
+	})
+}
+
+/**
+ * @param {String} code
+ * @param {String} syscall
+ * @param {String} filePath
+ * @returns {Error} - error like those of fs
+ */
+function fileSystemError(code, syscall, filePath) {
+	let error = new Error(`${code}: ${syscall} '${filePath}' (virtual file system)`)
+	error.code = code
+	error.syscall = syscall
+	error.path = filePath
+	return error
+}
+
+exports.useConfig = useConfig
+exports.override = override
+exports.withConfig = withConfig
+exports.restoreAll = restoreAll
+exports.loadFixture = loadFixture
+exports.createFileSystem = createFileSystem
+exports.registerHooks = registerHooks
+exports.reset = reset
@@ -0,0 +1,171 @@
+/* eslint-disable no-magic-numbers, no-unused-expressions */
+'use strict'
+
+// Core
+const path = require('path')
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const loadConfig = require('../index'),
+	testing = require('./testing')
+
+// --------------------------------------------------------
+describe('testing', function() {
+	afterEach(() => {
+		testing.restoreAll()
+		testing.useConfig(null)
+	})
+
+	describe('override', function() {
+		it('deep-applies overrides and restores the previous values', function() {
+			let config = {database: {host: 'localhost', port: 5432}, features: ['a'], debug: false},
+				restore = testing.override(config, {database: {host: 'db', pool: 10}, features: ['b'], debug: {$unset: true}})
+			expect(config).eql({database: {host: 'db', port: 5432, pool: 10}, features: ['b']})
+			restore()
+			expect(config).eql({database: {host: 'localhost', port: 5432}, features: ['a'], debug: false})
+			restore()
+			expect(config.database.host).equal('localhost')
+		})
+
+		it('nested overrides are restored in reverse order by restoreAll', function() {
+			let config = {a: 1}
+			testing.override(config, {a: 2})
+			testing.override(config, {a: 3, b: 1})
+			testing.restoreAll()
+			expect(config).eql({a: 1})
+		})
+
+		it('throws on immutable configurations', function() {
+			let config = loadConfig(path.resolve(__dirname, '..', 'test-data', 'simple.overrides'), null, {env: {}, immutable: true})
+			expect(() => testing.override(config, {logging: {enabled: true}})).throw(/immutable/)
+		})
+	})
+
+	describe('withConfig', function() {
+		it('restores the configuration after the function returns or throws', function() {
+			let config = {a: {b: 1}}
+			expect(testing.withConfig(config, {a: {b: 2}}, (overridden) => overridden.a.b)).equal(2)
+			expect(config.a.b).equal(1)
+			expect(() => testing.withConfig(config, {a: {b: 3}}, () => {
+				throw new Error('failed')
+			})).throw('failed')
+			expect(config.a.b).equal(1)
+		})
+
+		it('restores the configuration once a returned Promise settles', function() {
+			let config = {a: 1}
+			return testing.withConfig(config, {a: 2}, () => new Promise((resolve) => setImmediate(() => resolve(config.a))))
+			.then((value) => {
+				expect(value).equal(2)
+				expect(config.a).equal(1)
+				return testing.withConfig(config, {a: 3}, () => Promise.reject(new Error('failed')))
+			})
+			.then(() => {
+				throw new Error('should have been rejected')
+			}, (error) => {
+				expect(error.message).equal('failed')
+				expect(config.a).equal(1)
+			})
+		})
+
+		it('applies to the configuration of useConfig by default', function() {
+			let config = {a: 1}
+			expect(() => testing.withConfig({a: 2}, () => null)).throw(/useConfig/)
+			testing.useConfig(config)
+			expect(testing.withConfig({a: 2}, () => config.a)).equal(2)
+			expect(config.a).equal(1)
+		})
+	})
+
+	describe('loadFixture', function() {
+		let files = {
+			'index.js': {name: 'api'},
+			'database.yaml': 'host: localhost\nport: 5432',
+			'logging.js': 'module.exports = (context) => ({level: context.isEnv("production") ? "warn" : "debug"})',
+			'production/database.js': (context) => ({host: context.processEnv.DB_HOST}),
+			'production/.extends': 'base',
+			'base/features.json': {signup: true},
+			'local/': null
+		}
+
+		it('loads the configuration from the virtual files', function() {
+			let config = testing.loadFixture(files, null, {environment: 'production', env: {DB_HOST: 'db'}, includeRootIndex: true})
+			expect(config).eql({
+				name: 'api',
+				database: {host: 'db', port: 5432},
+				logging: {level: 'warn'},
+				features: {signup: true}
+			})
+		})
+
+		it('does not read process.env', function() {
+			process.env.NODE_ENV = 'production'
+			try {
+				expect(testing.loadFixture(files).logging).eql({level: 'debug'})
+			}
+			finally {
+				Reflect.deleteProperty(process.env, 'NODE_ENV')
+			}
+		})
+
+		it('loads asynchronously', function() {
+			return testing.loadFixture.async({'index.js': Promise.resolve({a: 1}), 'b.mjs': {c: 2}}, null, {includeRootIndex: true})
+			.then((config) => {
+				expect(config).eql({a: 1, b: {c: 2}})
+			})
+		})
+
+		it('works with loadEnvironments', function() {
+			let fileSystem = testing.createFileSystem('/config', {'staging/index.json': '{"a": 1}', 'production/index.json': '{"a": 2}'})
+			expect(loadConfig.loadEnvironments('/config', null, {fileSystem, env: {}})).eql({production: {a: 2}, staging: {a: 1}})
+		})
+
+		it('throws on invalid virtual files', function() {
+			expect(() => testing.loadFixture({'../index.js': 'module.exports = {}'})).throw('outside of the configuration directory')
+			expect(() => testing.loadFixture({'database.yaml': {host: 'localhost'}})).throw('Virtual file database.yaml must be a string')
+			expect(() => testing.loadFixture({'a.json': '{}', 'a.json/b.json': '{}'})).throw('also used as a directory')
+		})
+	})
+
+	describe('createFileSystem', function() {
+		let fileSystem = testing.createFileSystem('/config', {'a/b.json': '{}'})
+
+		it('behaves like fs', function() {
+			expect(fileSystem.readdirSync('/config')).eql(['a'])
+			expect(fileSystem.statSync('/config/a').isDirectory()).true
+			expect(fileSystem.statSync('/config/a/b.json').isFile()).true
+			expect(fileSystem.readFileSync('/config/a/b.json', 'utf8')).equal('{}')
+		})
+
+		it('throws errors with the codes of fs', function() {
+			expect(() => fileSystem.statSync('/config/missing')).throw().with.property('code', 'ENOENT')
+			expect(() => fileSystem.readFileSync('/config/a/b.json/.extends')).throw().with.property('code', 'ENOTDIR')
+			expect(() => fileSystem.readFileSync('/config/a')).throw().with.property('code', 'EISDIR')
+			expect(() => fileSystem.readdirSync('/other')).throw().with.property('code', 'ENOENT')
+		})
+	})
+
+	describe('registerHooks', function() {
+		let config = {a: 1}
+
+		describe('with hooks', function() {
+			testing.registerHooks()
+
+			it('changes process.env and overrides the configuration', function() {
+				process.env.NODE_CONFIG_LOADER_TESTING = 'yes'
+				testing.override(config, {a: 2})
+			})
+
+			it('resets them after each test', function() {
+				expect(process.env.NODE_CONFIG_LOADER_TESTING).undefined
+				expect(config.a).equal(1)
+			})
+		})
+
+		it('throws without hook functions', function() {
+			expect(() => testing.registerHooks({})).throw(/beforeEach and afterEach/)
+		})
+	})
+})
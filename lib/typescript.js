@@ -0,0 +1,193 @@
+'use strict'
+
+// Local
+const configRedact = require('./redact'),
+	configUtils = require('./utils')
+
+// Constants
+const kIdentifier = /^[A-Za-z_$][\w$]*$/,
+	kDefaultTypeName = 'Config',
+	kHeader = '// Generated by node-config-loader; do not edit. Run node-config-loader types to regenerate.'
+
+/**
+ * Types are represented as {names, array, object, index, secret}: the union of the type names in
+ * ${names} (e.g. 'string', 'null' or literals such as '"debug"'), an array of ${array} (a type), an
+ * object with the properties of ${object} (name -> {type, optional}) and, if ${index} is set, any
+ * other property of type ${index}, and a secret (see lib/redact.js) whose value is of type ${secret}.
+ */
+
+/**
+ * Infers the type of the given values, e.g. the configurations of every environment. Keys that
+ * are present in every object become required properties and the others optional; values that
+ * differ in type become unions (e.g. number | string).
+ *
+ * @param {Array.<*>} values
+ * @returns {Object} - type of ${values}
+ */
+function inferType(values) {
+	let type = emptyType(),
+		arrays = values.filter(Array.isArray),
+		objects = values.filter(configUtils.isPlainObject),
+		secrets = values.filter((value) => value instanceof configRedact.Secret)
+	values
+	.filter((value) => !Array.isArray(value) && !configUtils.isPlainObject(value) && !(value instanceof configRedact.Secret))
+	.filter((value) => typeof value !== 'undefined')
+	.forEach((value) => type.names.add(valueTypeName(value)))
+
+	if (arrays.length)
+		type.array = inferType(arrays.reduce((items, array) => items.concat(array), []))
+
+	if (secrets.length)
+		type.secret = inferType(secrets.map((secret) => secret.reveal()))
+
+	if (objects.length) {
+		let keys = new Set()
+		objects.forEach((object) => Object.keys(object).forEach((key) => keys.add(key)))
+		type.object = {}
+		Array.from(keys).sort()
+		.forEach((key) => {
+			let present = objects.filter((object) => Reflect.has(object, key))
+			type.object[key] = {
+				type: inferType(present.map((object) => object[key])),
+				optional: present.length < objects.length
+			}
+		})
+	}
+
+	return type
+}
+
+/**
+ * Determines the type described by a JSON Schema (the subset supported by lib/schema.js).
+ * Properties that are required or have a default value (which the loader fills in) are required;
+ * the others are optional.
+ *
+ * @param {Object} schema
+ * @returns {Object} - type of the values that satisfy ${schema}
+ */
+function schemaType(schema) {
+	let type = emptyType()
+	if (!schema || typeof schema !== 'object')
+		return type
+
+	if (Array.isArray(schema.enum)) {
+		schema.enum.forEach((value) => type.names.add(value === null ? 'null' : JSON.stringify(value)))
+		return type
+	}
+
+	let types = [].concat(schema.type || [])
+	if (!types.length) {
+		if (schema.properties || schema.additionalProperties)
+			types.push('object')
+		if (schema.items)
+			types.push('array')
+	}
+
+	types.forEach((name) => {
+		switch (name) {
+			case 'object':
+				type.object = {}
+				Object.keys(schema.properties || {}).sort()
+				.forEach((key) => {
+					let property = schema.properties[key]
+					type.object[key] = {
+						type: schemaType(property),
+						optional: !(schema.required || []).includes(key) && !(property && Reflect.has(property, 'default'))
+					}
+				})
+				if (schema.additionalProperties)
+					type.index = schemaType(schema.additionalProperties === true ? {} : schema.additionalProperties)
+				break
+			case 'array':
+				type.array = schemaType(schema.items)
+				break
+			case 'integer':
+				type.names.add('number')
+				break
+			default:
+				type.names.add(name)
+		}
+	})
+	return type
+}
+
+/**
+ * @param {Object} type - as returned by inferType or schemaType
+ * @param {Object} [options = {}]
+ * @param {String} [options.typeName = 'Config'] - name of the configuration interface
+ * @returns {String} - contents of a .d.ts file that declares the (CommonJS) module exporting the configuration
+ */
+function renderDeclarations(type, options = {}) {
+	let typeName = options.typeName || kDefaultTypeName
+	if (!kIdentifier.test(typeName))
+		throw new Error(`Invalid type name: ${typeName}`)
+
+	let body = type.object ? renderObject(type, '') : '{}'
+	return `${kHeader}\n\ninterface ${typeName} ${body}\n\ndeclare const config: ${typeName}\nexport = config\n`
+}
+
+// --------------------------------------------------------
+/**
+ * @returns {Object}
+ */
+function emptyType() {
+	return {names: new Set(), array: null, object: null, index: null, secret: null}
+}
+
+/**
+ * @param {Object} type
+ * @param {String} indent - indentation of the line that ${type} is rendered on
+ * @returns {String}
+ */
+function renderType(type, indent) {
+	let members = Array.from(type.names).sort()
+	if (type.array) {
+		let element = renderType(type.array, indent)
+		members.push(element.includes(' | ') ? `Array<${element}>` : `${element}[]`)
+	}
+	if (type.object || type.index)
+		members.push(renderObject(type, indent))
+	if (type.secret)
+		members.push(`{reveal(): ${renderType(type.secret, indent)}}`)
+
+	return members.length ? members.join(' | ') : 'unknown'
+}
+
+/**
+ * @param {Object} type - type with an object and / or index
+ * @param {String} indent
+ * @returns {String}
+ */
+function renderObject(type, indent) {
+	let innerIndent = indent + '\t',
+		properties = type.object || {},
+		lines = Object.keys(properties).map((key) => {
+			let name = kIdentifier.test(key) ? key : JSON.stringify(key),
+				optional = properties[key].optional ? '?' : ''
+			return `${innerIndent}${name}${optional}: ${renderType(properties[key].type, innerIndent)}`
+		})
+	// TypeScript requires every property to match the index signature, so the other properties are
+	// only typed precisely if there are no declared properties
+	if (type.index)
+		lines.push(`${innerIndent}[key: string]: ${lines.length ? 'unknown' : renderType(type.index, innerIndent)}`)
+
+	return lines.length ? `{\n${lines.join('\n')}\n${indent}}` : '{}'
+}
+
+/**
+ * @param {*} value - anything other than an array or plain object
+ * @returns {String}
+ */
+function valueTypeName(value) {
+	if (value === null)
+		return 'null'
+	if (value instanceof Date)
+		return 'Date'
+	if (typeof value === 'function')
+		return 'Function'
+	return ['string', 'number', 'boolean'].includes(typeof value) ? typeof value : 'unknown'
+}
+
+exports.inferType = inferType
+exports.schemaType = schemaType
+exports.renderDeclarations = renderDeclarations
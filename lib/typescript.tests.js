@@ -0,0 +1,143 @@
+/* eslint-disable no-magic-numbers, no-unused-expressions */
+'use strict'
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const configRedact = require('./redact'),
+	configSchema = require('./schema'),
+	configTypescript = require('./typescript')
+
+// --------------------------------------------------------
+/**
+ * @param {Object} type
+ * @returns {String} - the interface body of the declarations for ${type}
+ */
+function body(type) {
+	let declarations = configTypescript.renderDeclarations(type),
+		start = declarations.indexOf('interface Config ') + 'interface Config '.length
+	return declarations.substring(start, declarations.indexOf('\n\ndeclare'))
+}
+
+describe('typescript', function() {
+	describe('inferType', function() {
+		it('keys present in every value are required and the others optional', function() {
+			let type = configTypescript.inferType([
+				{database: {host: 'a', pool: 10}, logging: {level: 'debug'}},
+				{database: {host: 'b'}}
+			])
+			expect(body(type)).equal([
+				'{',
+				'\tdatabase: {',
+				'\t\thost: string',
+				'\t\tpool?: number',
+				'\t}',
+				'\tlogging?: {',
+				'\t\tlevel: string',
+				'\t}',
+				'}'
+			].join('\n'))
+		})
+
+		it('values whose types differ become unions', function() {
+			let type = configTypescript.inferType([
+				{port: 5432, hosts: ['a'], url: null, ssl: {ca: 'x'}},
+				{port: '5432', hosts: [1], url: 'postgres://db', ssl: false}
+			])
+			expect(body(type)).equal([
+				'{',
+				'\thosts: Array<number | string>',
+				'\tport: number | string',
+				'\tssl: boolean | {',
+				'\t\tca: string',
+				'\t}',
+				'\turl: null | string',
+				'}'
+			].join('\n'))
+		})
+
+		it('handles empty arrays and objects, dates, secrets and keys that are not identifiers', function() {
+			let type = configTypescript.inferType([{
+				'content-type': 'json',
+				empty: [],
+				headers: {},
+				password: configRedact.secret('x'),
+				since: new Date(0)
+			}])
+			expect(body(type)).equal([
+				'{',
+				'\t"content-type": string',
+				'\tempty: unknown[]',
+				'\theaders: {}',
+				'\tpassword: {reveal(): string}',
+				'\tsince: Date',
+				'}'
+			].join('\n'))
+		})
+	})
+
+	describe('schemaType', function() {
+		it('declares the types of a schema', function() {
+			let types = configSchema.types,
+				type = configTypescript.schemaType(types.object({
+					level: types.enum(['debug', 'info']),
+					port: types.integer({default: 5432}),
+					ssl: types.boolean({optional: true}),
+					hosts: types.array(types.string()),
+					url: {type: ['string', 'null']}
+				}))
+			expect(body(type)).equal([
+				'{',
+				'\thosts: string[]',
+				'\tlevel: "debug" | "info"',
+				'\tport: number',
+				'\tssl?: boolean',
+				'\turl: null | string',
+				'}'
+			].join('\n'))
+		})
+
+		it('additionalProperties becomes an index signature', function() {
+			let type = configTypescript.schemaType({
+				type: 'object',
+				properties: {
+					features: {type: 'object', additionalProperties: {type: 'boolean'}},
+					plugins: {type: 'object', properties: {a: {type: 'string'}}, additionalProperties: true}
+				}
+			})
+			expect(body(type)).equal([
+				'{',
+				'\tfeatures?: {',
+				'\t\t[key: string]: boolean',
+				'\t}',
+				'\tplugins?: {',
+				'\t\ta?: string',
+				'\t\t[key: string]: unknown',
+				'\t}',
+				'}'
+			].join('\n'))
+		})
+	})
+
+	describe('renderDeclarations', function() {
+		it('declares the configuration as the export of a CommonJS module', function() {
+			let declarations = configTypescript.renderDeclarations(configTypescript.inferType([{a: 1}]), {typeName: 'AppConfig'})
+			expect(declarations).equal([
+				'// Generated by node-config-loader; do not edit. Run node-config-loader types to regenerate.',
+				'',
+				'interface AppConfig {',
+				'\ta: number',
+				'}',
+				'',
+				'declare const config: AppConfig',
+				'export = config',
+				''
+			].join('\n'))
+		})
+
+		it('throws on invalid type names', function() {
+			expect(() => configTypescript.renderDeclarations(configTypescript.inferType([{}]), {typeName: 'App Config'})).throw('Invalid type name: App Config')
+		})
+	})
+})
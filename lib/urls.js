@@ -0,0 +1,179 @@
+'use strict'
+
+// Local
+const configRedact = require('./redact'),
+	envOverrides = require('./env-overrides')
+
+// Constants
+const kMaxPort = 65535
+
+/**
+ * Registered connection URL parsers keyed by (lower case) scheme. Each is called with the generic
+ * result of parseConnectionUrl and may return any configuration object instead (the password of
+ * that result is a Secret; see lib/redact.js).
+ */
+const registry = new Map()
+
+/**
+ * @param {String} scheme - URL scheme (e.g. 'redis' or 'mongodb+srv')
+ * @param {Function} parse - function(parsed, url) that returns the configuration for ${url}; ${parsed} is the result of parseConnectionUrl
+ */
+function registerUrlParser(scheme, parse) {
+	registry.set(scheme.toLowerCase(), parse)
+}
+
+/**
+ * @param {Object} [extraParsers = null] - additional scheme -> parse function mappings for a single load
+ * @returns {Map} - scheme -> parse function for every registered and extra parser
+ */
+function resolveUrlParsers(extraParsers = null) {
+	let result = new Map(registry)
+	if (extraParsers) {
+		Object.keys(extraParsers).forEach((scheme) => {
+			result.set(scheme.toLowerCase(), extraParsers[scheme])
+		})
+	}
+	return result
+}
+
+/**
+ * Parses connection URLs of the form:
+ *
+ *   scheme://[user[:password]@]host[:port][,host[:port]...][/name][?key=value&...]
+ *
+ * - user, password, host and name are percent-decoded
+ * - the authority (user information and hosts) ends at the first /, ? or # and the user
+ *   information at the last @ within it, so that passwords may contain an unencoded @ (e.g.
+ *   postgres://user:p@ss@host/db) while the path and query may contain any (e.g. ?notify=a@b.com);
+ *   a /, ? or # in the user information must be percent-encoded
+ * - the password is wrapped with secret() so that it is redacted along with the configuration
+ * - IPv6 hosts are enclosed in brackets (e.g. postgres://[::1]:5432/db)
+ * - a host that decodes to an absolute path (e.g. postgres://%2Fvar%2Frun%2Fpostgresql/db) is
+ *   returned as ${socket} instead of ${host}
+ * - multiple hosts (e.g. mongodb+srv://a:27017,b:27017/db) are returned as ${hosts}
+ * - query parameters are returned as ${options}; their values are converted to numbers, booleans
+ *   and null where possible and repeated parameters are collected into an array
+ *
+ * Fields that are not part of the URL are omitted so that they do not replace any configured values.
+ *
+ * @param {String} url
+ * @returns {Object} - {dialect, user, password: Secret, host, port, socket, hosts: [{host, port}, ...], name, options}
+ * @throws {Error} - if ${url} is not a valid connection URL; the message never includes the user information
+ */
+function parseConnectionUrl(url) {
+	let schemeMatches = url.match(/^([a-z][a-z0-9+.-]*):\/\/(.*)$/i)
+	if (!schemeMatches)
+		throw new Error('expected scheme://[user[:password]@]host[:port][/name][?options]')
+
+	let result = {dialect: schemeMatches[1]},
+		rest = schemeMatches[2],
+		authorityEnd = rest.search(/[/?#]/),
+		at = rest.lastIndexOf('@', authorityEnd !== -1 ? authorityEnd : rest.length)
+	if (at !== -1) {
+		let userInfo = rest.substr(0, at),
+			colon = userInfo.indexOf(':'),
+			user = decode(colon !== -1 ? userInfo.substr(0, colon) : userInfo, 'user')
+		if (user)
+			result.user = user
+		if (colon !== -1)
+			result.password = configRedact.secret(decode(userInfo.substr(colon + 1), 'password'))
+		rest = rest.substr(at + 1)
+	}
+
+	// e.g. host:port/name?options
+	//      1--------|2---| 3------|
+	let matches = rest.match(/^([^/?#]*)([^?#]*)(?:\?([^#]*))?(?:#.*)?$/),
+		authority = matches[1]
+
+	let hosts = authority ? authority.split(',').map(parseHost) : []
+	if (hosts.length === 1)
+		Object.assign(result, hosts[0])
+	else if (hosts.length > 1)
+		result.hosts = hosts
+
+	let name = decode(matches[2].replace(/^\//, ''), 'name')
+	if (name)
+		result.name = name
+
+	if (matches[3]) {
+		let options = parseQuery(matches[3])
+		if (Object.keys(options).length)
+			result.options = options
+	}
+
+	return result
+}
+
+/**
+ * @param {String} url
+ * @param {Map} parsers - as returned by resolveUrlParsers
+ * @returns {Object} - configuration for ${url} as returned by the parser registered for its scheme, or parseConnectionUrl if there is none
+ */
+function parseUrl(url, parsers) {
+	let parsed = parseConnectionUrl(url),
+		parse = parsers.get(parsed.dialect.toLowerCase())
+	return parse ? parse(parsed, url) : parsed
+}
+
+// --------------------------------------------------------
+/**
+ * @param {String} spec - host[:port] or [IPv6 host][:port]
+ * @returns {Object} - {host, port} or {socket}
+ */
+function parseHost(spec) {
+	let matches = spec.match(/^\[([^\]]+)\](?::(\d*))?$/) || spec.match(/^([^:[\]]*)(?::(\d*))?$/)
+	if (!matches)
+		// Without the host itself, which holds the user information if the URL is missing its @
+		throw new Error('invalid host (expected host[:port] or [IPv6 address][:port])')
+
+	let host = decode(matches[1], 'host'),
+		result = host.startsWith('/') ? {socket: host} : {host}
+	if (matches[2]) {
+		let port = Number(matches[2])
+		if (port > kMaxPort)
+			throw new Error(`invalid port (must be at most ${kMaxPort})`)
+		result.port = port
+	}
+	return result
+}
+
+/**
+ * @param {String} query
+ * @returns {Object}
+ */
+function parseQuery(query) {
+	let result = {}
+	query.split('&')
+	.filter((pair) => pair)
+	.forEach((pair) => {
+		let equals = pair.indexOf('='),
+			key = decode(equals !== -1 ? pair.substr(0, equals) : pair, 'option'),
+			value = equals !== -1 ? envOverrides.coerceValue(decode(pair.substr(equals + 1), 'option')) : true
+		if (!Reflect.has(result, key))
+			result[key] = value
+		else if (Array.isArray(result[key]))
+			result[key].push(value)
+		else
+			result[key] = [result[key], value]
+	})
+	return result
+}
+
+/**
+ * @param {String} value
+ * @param {String} field - name of the URL component for error messages
+ * @returns {String}
+ */
+function decode(value, field) {
+	try {
+		return decodeURIComponent(value)
+	}
+	catch (error) {
+		throw new Error(`invalid percent-encoding in ${field}`)
+	}
+}
+
+exports.registerUrlParser = registerUrlParser
+exports.resolveUrlParsers = resolveUrlParsers
+exports.parseConnectionUrl = parseConnectionUrl
+exports.parseUrl = parseUrl
@@ -0,0 +1,128 @@
+'use strict'
+
+// Core
+const fs = require('fs')
+
+// Constants
+// Keys that are never merged or set; assigning them would modify Object.prototype (or another
+// prototype) instead of the configuration
+const kUnsafeKeys = ['__proto__', 'constructor', 'prototype']
+
+/**
+ * @param {*} value
+ * @returns {Boolean} - true if ${value} is an object created by an object literal, JSON.parse or Object.create(null); false for arrays, class instances (e.g. Date or Secret) and Object.prototype itself
+ */
+function isPlainObject(value) {
+	if (!value || typeof value !== 'object' || Array.isArray(value) || value === Object.prototype)
+		return false
+
+	let prototype = Reflect.getPrototypeOf(value)
+	return prototype === Object.prototype || prototype === null
+}
+
+/**
+ * @param {*} value
+ * @returns {Boolean} - true if ${value} is a plain object or an array, i.e. an object of the configuration that holds other values rather than a value itself (e.g. a Date or Buffer)
+ */
+function isContainer(value) {
+	return Array.isArray(value) || isPlainObject(value)
+}
+
+/**
+ * @param {*} a
+ * @param {*} b
+ * @returns {Boolean} - true if ${a} and ${b} are deeply equal; plain objects and arrays are compared item by item and dates by their time
+ */
+function isEqual(a, b) {
+	if (a === b)
+		return true
+	if (Array.isArray(a) && Array.isArray(b))
+		return a.length === b.length && a.every((item, i) => isEqual(item, b[i]))
+	if (isPlainObject(a) && isPlainObject(b)) {
+		let aKeys = Object.keys(a),
+			bKeys = Object.keys(b)
+		return aKeys.length === bKeys.length && aKeys.every((key) => Reflect.has(b, key) && isEqual(a[key], b[key]))
+	}
+	if (a instanceof Date && b instanceof Date)
+		return a.getTime() === b.getTime()
+
+	// NaN
+	return a !== a && b !== b // eslint-disable-line no-self-compare
+}
+
+/**
+ * @param {*} value
+ * @returns {Boolean} - true if ${value} is a Promise or Promise-like (thenable) object
+ */
+function isPromise(value) {
+	return !!value && (typeof value === 'object' || typeof value === 'function') && typeof value.then === 'function'
+}
+
+/**
+ * @param {String} directory
+ * @param {Object} [fileSystem = fs] - see the fileSystem option of loadConfig
+ * @returns {Boolean} - true if ${directory} exists and is a directory; false otherwise
+ */
+function isDirectory(directory, fileSystem = fs) {
+	try {
+		return fileSystem.statSync(directory).isDirectory()
+	}
+	catch (error) {
+		return false
+	}
+}
+
+/**
+ * @param {String} key
+ * @returns {Boolean} - true if ${key} may not be merged or set (see kUnsafeKeys)
+ */
+function isUnsafeKey(key) {
+	return kUnsafeKeys.includes(key)
+}
+
+/**
+ * @param {Array.<String|RegExp>} patterns - case insensitive globs (e.g. '*Token' or 'README*') or regular expressions
+ * @returns {Array.<RegExp>} - ${patterns} as regular expressions; globs match the whole string
+ */
+function toRegExps(patterns) {
+	return patterns.map((pattern) => {
+		if (pattern instanceof RegExp)
+			return pattern
+
+		let source = pattern.split('*')
+		.map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+		.join('.*')
+		return new RegExp(`^${source}$`, 'i')
+	})
+}
+
+/**
+ * Sets ${value} at ${keyPath} of ${target}, replacing any intermediate value that is not an
+ * object with a new object. Key paths that contain an unsafe key (see isUnsafeKey) are ignored.
+ *
+ * @param {Object} target
+ * @param {Array.<String>} keyPath
+ * @param {*} value
+ */
+function setAt(target, keyPath, value) {
+	if (keyPath.some(isUnsafeKey))
+		return
+
+	let parent = target
+	keyPath.slice(0, -1).forEach((key) => {
+		if (!parent[key] || typeof parent[key] !== 'object')
+			parent[key] = {}
+		parent = parent[key]
+	})
+	parent[keyPath[keyPath.length - 1]] = value
+}
+
+exports.kUnsafeKeys = kUnsafeKeys
+exports.isUnsafeKey = isUnsafeKey
+exports.isPlainObject = isPlainObject
+exports.isContainer = isContainer
+exports.isEqual = isEqual
+exports.isPromise = isPromise
+exports.isDirectory = isDirectory
+exports.toRegExps = toRegExps
+exports.setAt = setAt
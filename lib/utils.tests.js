@@ -0,0 +1,95 @@
+/* eslint-disable no-magic-numbers, no-unused-expressions */
+'use strict'
+
+// Core
+const path = require('path')
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const configRedact = require('./redact'),
+	configUtils = require('./utils')
+
+// --------------------------------------------------------
+describe('utils', function() {
+	describe('isContainer', function() {
+		it('is true for plain objects and arrays only', function() {
+			expect(configUtils.isContainer({})).true
+			expect(configUtils.isContainer([])).true
+			expect(configUtils.isContainer(new Date())).false
+			expect(configUtils.isContainer(Buffer.from('a'))).false
+			expect(configUtils.isContainer('a')).false
+		})
+	})
+
+	describe('isPlainObject', function() {
+		it('is true for object literals and objects without a prototype', function() {
+			expect(configUtils.isPlainObject({})).true
+			expect(configUtils.isPlainObject(JSON.parse('{"a": 1}'))).true
+			expect(configUtils.isPlainObject(Object.create(null))).true
+		})
+
+		it('is false for arrays, class instances and Object.prototype', function() {
+			expect(configUtils.isPlainObject([])).false
+			expect(configUtils.isPlainObject(null)).false
+			expect(configUtils.isPlainObject(new Date())).false
+			expect(configUtils.isPlainObject(configRedact.secret('x'))).false
+			expect(configUtils.isPlainObject(Object.prototype)).false
+		})
+	})
+
+	describe('isEqual', function() {
+		it('compares deeply', function() {
+			expect(configUtils.isEqual({a: [1, {b: null}]}, {a: [1, {b: null}]})).true
+			expect(configUtils.isEqual({a: 1, b: 2}, {b: 2, a: 1})).true
+			expect(configUtils.isEqual({a: 1}, {a: 1, b: 2})).false
+			expect(configUtils.isEqual([1], {0: 1})).false
+			expect(configUtils.isEqual(new Date(1), new Date(1))).true
+			expect(configUtils.isEqual(NaN, NaN)).true
+		})
+	})
+
+	describe('isPromise', function() {
+		it('is true for thenables', function() {
+			expect(configUtils.isPromise(Promise.resolve())).true
+			expect(configUtils.isPromise({then: () => null})).true
+			expect(configUtils.isPromise({})).false
+		})
+	})
+
+	describe('isDirectory', function() {
+		it('is false for files and missing paths', function() {
+			expect(configUtils.isDirectory(__dirname)).true
+			expect(configUtils.isDirectory(__filename)).false
+			expect(configUtils.isDirectory(path.join(__dirname, 'missing'))).false
+		})
+	})
+
+	describe('toRegExps', function() {
+		it('converts case insensitive globs and keeps regular expressions', function() {
+			let patterns = configUtils.toRegExps(['README*', '*.d.ts', /^x$/])
+			expect(patterns[0].test('readme.md')).true
+			expect(patterns[0].test('a-README')).false
+			expect(patterns[1].test('index.d.ts')).true
+			expect(patterns[1].test('index.dxts')).false
+			expect(patterns[2].test('x')).true
+		})
+	})
+
+	describe('setAt', function() {
+		it('creates intermediate objects', function() {
+			let target = {a: 1}
+			configUtils.setAt(target, ['a', 'b', 'c'], 2)
+			expect(target).eql({a: {b: {c: 2}}})
+		})
+
+		it('ignores key paths with unsafe keys', function() {
+			let target = {}
+			configUtils.setAt(target, ['__proto__', 'polluted'], 'yes')
+			configUtils.setAt(target, ['constructor', 'prototype', 'polluted'], 'yes')
+			expect(Object.prototype).not.property('polluted')
+			expect(target).eql({})
+		})
+	})
+})
@@ -0,0 +1,55 @@
+'use strict'
+
+// Constants
+const kWarningCodes = {
+	// The environment is not one of options.allowedEnvironments
+	unknownEnvironment: 'unknown-environment',
+	// The environment was chosen (rather than the default) but has no directory, so only the base
+	// (and local) configuration is loaded
+	missingEnvironment: 'missing-environment',
+	// The environment is named local, which is also the name of the local overrides directory
+	localEnvironment: 'local-environment',
+	// A file in a configuration directory does not have a supported extension (and is not one of the
+	// ignoredFiles, such as README.md)
+	skippedFile: 'skipped-file',
+	// A file replaces or merges into a key that the index file of the same directory also sets
+	overriddenIndexKey: 'overridden-index-key',
+	// A provider failed and was skipped or replaced by its fallback
+	providerFailed: 'provider-failed'
+}
+
+/**
+ * Thrown in strict mode if anything was found while loading that is likely a mistake.
+ */
+class StrictModeError extends Error {
+	/**
+	 * @param {Array.<Object>} warnings - [{code, message}, ...]
+	 */
+	constructor(warnings) {
+		let lines = warnings.map((warning) => `  ${warning.message} [${warning.code}]`)
+		super(`Strict mode: ${warnings.length} problem${warnings.length === 1 ? '' : 's'} found while loading the configuration:\n${lines.join('\n')}`)
+		this.name = 'StrictModeError'
+		this.warnings = warnings
+	}
+}
+
+/**
+ * @param {Function} [onWarning = null] - function(warning) called with each warning as it is reported
+ * @returns {Object} - {warnings, warn(code, message)}; warn appends {code, message} to ${warnings}
+ */
+function createWarnings(onWarning = null) {
+	let warnings = []
+	return {
+		warnings,
+		warn(code, message) {
+			let warning = {code, message}
+			warnings.push(warning)
+			if (onWarning)
+				onWarning(warning)
+		}
+	}
+}
+
+exports.kWarningCodes = kWarningCodes
+exports.StrictModeError = StrictModeError
+exports.createWarnings = createWarnings
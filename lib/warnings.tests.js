@@ -0,0 +1,42 @@
+/* eslint-disable no-magic-numbers, no-unused-expressions */
+'use strict'
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const configWarnings = require('./warnings')
+
+// --------------------------------------------------------
+describe('warnings', function() {
+	describe('createWarnings', function() {
+		it('collects warnings and passes each to onWarning', function() {
+			let reported = [],
+				collector = configWarnings.createWarnings((warning) => reported.push(warning))
+			collector.warn('skipped-file', 'notes.txt was skipped')
+			expect(collector.warnings).eql([{code: 'skipped-file', message: 'notes.txt was skipped'}])
+			expect(reported).eql(collector.warnings)
+		})
+
+		it('onWarning is optional', function() {
+			let collector = configWarnings.createWarnings()
+			collector.warn('local-environment', 'local')
+			expect(collector.warnings).length(1)
+		})
+	})
+
+	describe('StrictModeError', function() {
+		it('lists every warning', function() {
+			let error = new configWarnings.StrictModeError([
+				{code: 'missing-environment', message: 'Environment prodution has no directory'},
+				{code: 'skipped-file', message: 'notes.txt was skipped'}
+			])
+			expect(error).instanceof(Error)
+			expect(error.name).equal('StrictModeError')
+			expect(error.warnings).length(2)
+			expect(error.message).equal('Strict mode: 2 problems found while loading the configuration:\n' +
+				'  Environment prodution has no directory [missing-environment]\n' +
+				'  notes.txt was skipped [skipped-file]')
+		})
+	})
+})
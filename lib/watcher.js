@@ -0,0 +1,123 @@
+'use strict'
+
+// Core
+const EventEmitter = require('events'),
+	fs = require('fs')
+
+// Local
+const configDiff = require('./diff'),
+	configUtils = require('./utils')
+
+// Constants
+const kDefaultDebounce = 100
+
+/**
+ * Live configuration handle that reloads the configuration whenever a file in one of the watched
+ * directories changes.
+ *
+ * Events:
+ * - change (changes, config, previousConfig): emitted after a successful reload that changed the
+ *   configuration; ${changes} is an array of {keyPath, type, oldValue, newValue} (see lib/diff.js)
+ * - error (error): emitted if a reload fails; the last good configuration is kept
+ */
+class ConfigWatcher extends EventEmitter {
+	/**
+	 * @param {Function} load - function() that (re)loads and returns the configuration
+	 * @param {Function} getDirectories - function() that returns the directories to watch; called after every reload so that newly created directories are also watched
+	 * @param {Object} [options = {}]
+	 * @param {Number} [options.debounce = 100] - milliseconds to wait for further changes before reloading
+	 */
+	constructor(load, getDirectories, options = {}) {
+		super()
+		this._load = load
+		this._getDirectories = getDirectories
+		this._debounce = typeof options.debounce === 'number' ? options.debounce : kDefaultDebounce
+		this._watchers = new Map()
+		this._timer = null
+		this._closed = false
+
+		// Let any error from the initial load propagate to the caller
+		this._config = load()
+		this._updateWatchers()
+	}
+
+	/**
+	 * @returns {Object} - the most recent, successfully loaded configuration
+	 */
+	get config() {
+		return this._config
+	}
+
+	/**
+	 * Immediately reloads the configuration (without waiting for a file change).
+	 *
+	 * @returns {Boolean} - true if the reload succeeded; false otherwise
+	 */
+	reload() {
+		clearTimeout(this._timer)
+		this._timer = null
+		if (this._closed)
+			return false
+
+		let previousConfig = this._config,
+			config = null
+		try {
+			config = this._load()
+		}
+		catch (error) {
+			this.emit('error', error)
+			return false
+		}
+		finally {
+			this._updateWatchers()
+		}
+
+		this._config = config
+		let changes = configDiff.diffConfig(previousConfig, config)
+		if (changes.length)
+			this.emit('change', changes, config, previousConfig)
+		return true
+	}
+
+	/**
+	 * Stops watching for changes.
+	 */
+	close() {
+		this._closed = true
+		clearTimeout(this._timer)
+		this._timer = null
+		this._watchers.forEach((watcher) => watcher.close())
+		this._watchers.clear()
+	}
+
+	// ------------------------------------------------
+	// Private methods
+	_scheduleReload() {
+		clearTimeout(this._timer)
+		this._timer = setTimeout(() => this.reload(), this._debounce)
+	}
+
+	_updateWatchers() {
+		if (this._closed)
+			return
+
+		let directories = new Set(this._getDirectories().filter((directory) => configUtils.isDirectory(directory)))
+		this._watchers.forEach((watcher, directory) => {
+			if (!directories.has(directory)) {
+				watcher.close()
+				this._watchers.delete(directory)
+			}
+		})
+		directories.forEach((directory) => {
+			if (this._watchers.has(directory))
+				return
+
+			let watcher = fs.watch(directory, () => this._scheduleReload())
+			watcher.on('error', (error) => this.emit('error', error))
+			this._watchers.set(directory, watcher)
+		})
+	}
+}
+
+exports.ConfigWatcher = ConfigWatcher
+exports.kDefaultDebounce = kDefaultDebounce
@@ -0,0 +1,102 @@
+/* eslint-disable no-magic-numbers, no-unused-expressions */
+'use strict'
+
+// Core
+const fs = require('fs'),
+	os = require('os'),
+	path = require('path')
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const configWatcher = require('./watcher')
+
+// --------------------------------------------------------
+describe('watcher', function() {
+	let directory = null,
+		watcher = null
+
+	beforeEach(() => {
+		directory = fs.mkdtempSync(path.join(os.tmpdir(), 'node-config-loader-'))
+	})
+
+	afterEach(() => {
+		if (watcher)
+			watcher.close()
+		watcher = null
+		fs.readdirSync(directory).forEach((fileName) => fs.unlinkSync(path.join(directory, fileName)))
+		fs.rmdirSync(directory)
+	})
+
+	function createWatcher(load) {
+		watcher = new configWatcher.ConfigWatcher(load, () => [directory], {debounce: 10})
+		return watcher
+	}
+
+	it('throws error if the initial load fails', function() {
+		expect(function() {
+			createWatcher(() => {
+				throw new Error('invalid configuration')
+			})
+		}).throw(Error, /invalid configuration/)
+	})
+
+	it('reload emits change with the changed key paths', function() {
+		let version = 1,
+			events = []
+		createWatcher(() => ({version, name: 'test'}))
+		watcher.on('change', (changes, config, previousConfig) => events.push([changes, config, previousConfig]))
+
+		version = 2
+		expect(watcher.reload()).true
+		expect(watcher.config).eql({version: 2, name: 'test'})
+		expect(events).eql([[
+			[{keyPath: 'version', type: 'changed', oldValue: 1, newValue: 2}],
+			{version: 2, name: 'test'},
+			{version: 1, name: 'test'}
+		]])
+	})
+
+	it('reload does not emit change if nothing changed', function() {
+		createWatcher(() => ({version: 1}))
+		watcher.on('change', () => {
+			throw new Error('unexpected change event')
+		})
+		expect(watcher.reload()).true
+	})
+
+	it('failed reload keeps the last good configuration and emits error', function() {
+		let fail = false,
+			errors = []
+		createWatcher(() => {
+			if (fail)
+				throw new Error('syntax error')
+			return {version: 1}
+		})
+		watcher.on('error', (error) => errors.push(error.message))
+
+		fail = true
+		expect(watcher.reload()).false
+		expect(watcher.config).eql({version: 1})
+		expect(errors).eql(['syntax error'])
+	})
+
+	it('reloads when a file in a watched directory changes', function(done) {
+		let version = 1
+		createWatcher(() => ({version}))
+		watcher.on('change', (changes) => {
+			expect(changes).eql([{keyPath: 'version', type: 'changed', oldValue: 1, newValue: 2}])
+			done()
+		})
+
+		version = 2
+		fs.writeFileSync(path.join(directory, 'logging.js'), 'module.exports = {}')
+	})
+
+	it('close stops reloading', function() {
+		createWatcher(() => ({}))
+		watcher.close()
+		expect(watcher.reload()).false
+	})
+})
@@ -0,0 +1,7 @@
+'use strict'
+
+module.exports = function() {
+	return new Promise((resolve) => {
+		setTimeout(() => resolve({level: 'debug'}), 1)
+	})
+}
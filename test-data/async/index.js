@@ -0,0 +1,7 @@
+'use strict'
+
+module.exports = function() {
+	return Promise.resolve({
+		name: 'node-config-loader'
+	})
+}
@@ -0,0 +1,6 @@
+'use strict'
+
+module.exports = Promise.resolve({
+	enabled: true,
+	level: 'info'
+})
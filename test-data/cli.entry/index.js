@@ -0,0 +1,8 @@
+'use strict'
+
+// Local
+const loadConfig = require('../../index')
+
+module.exports = loadConfig(__dirname, {
+	name: 'cli.entry'
+})
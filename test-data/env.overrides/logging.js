@@ -0,0 +1,6 @@
+'use strict'
+
+module.exports = {
+	level: 'info',
+	enabled: true
+}
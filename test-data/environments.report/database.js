@@ -0,0 +1,6 @@
+'use strict'
+
+module.exports = {
+	host: 'localhost',
+	port: 5432
+}
@@ -0,0 +1,7 @@
+'use strict'
+
+module.exports = {
+	host: 'production-db',
+	password: 'production-password',
+	port: '5432'
+}
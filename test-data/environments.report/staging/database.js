@@ -0,0 +1,7 @@
+'use strict'
+
+module.exports = {
+	host: 'staging-db',
+	password: 'staging-password',
+	pool: 10
+}
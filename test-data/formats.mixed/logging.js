@@ -0,0 +1,6 @@
+'use strict'
+
+module.exports = {
+	enabled: true,
+	level: 'info'
+}
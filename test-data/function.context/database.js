@@ -0,0 +1,7 @@
+'use strict'
+
+module.exports = (context) => ({
+	env: context.env,
+	pool: context.isEnv('production') ? 20 : 2,
+	ssl: context.processEnv.CONTEXT_DATABASE_SSL === 'true'
+})
@@ -0,0 +1,5 @@
+'use strict'
+
+module.exports = (context) => ({
+	file: context.resolve('logs', `${context.config.name}.log`)
+})
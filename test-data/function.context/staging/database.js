@@ -0,0 +1,6 @@
+'use strict'
+
+module.exports = (context) => ({
+	pool: context.get('database.pool') * 2,
+	file: context.configFile
+})
@@ -0,0 +1,8 @@
+'use strict'
+
+module.exports = {
+	database: {
+		host: 'production-db',
+		pool: 10
+	}
+}
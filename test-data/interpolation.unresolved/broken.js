@@ -0,0 +1,5 @@
+'use strict'
+
+module.exports = {
+	missing: '${does.not.exist}'
+}
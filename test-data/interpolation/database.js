@@ -0,0 +1,8 @@
+'use strict'
+
+module.exports = {
+	host: 'db.local',
+	password: '${file:db-password.txt}',
+	url: 'postgres://app@${database.host}/app',
+	dsn: 'postgres://app:${file:db-password.txt}@${database.host}/app'
+}
@@ -0,0 +1,7 @@
+'use strict'
+
+module.exports = {
+	host: 'app.local',
+	port: '${env:INTERPOLATION_PORT:-3000}',
+	url: 'http://${server.host}:${server.port}'
+}
@@ -0,0 +1,8 @@
+'use strict'
+
+module.exports = {
+	server: {
+		port: 3000,
+		workers: 1
+	}
+}
@@ -0,0 +1,6 @@
+'use strict'
+
+module.exports = {
+	name: 'app',
+	level: 'info'
+}
@@ -0,0 +1,7 @@
+'use strict'
+
+module.exports = {
+	server: {
+		workers: 4
+	}
+}
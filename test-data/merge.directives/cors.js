@@ -0,0 +1,6 @@
+'use strict'
+
+module.exports = {
+	allowedOrigins: ['x', 'y', 'z'],
+	methods: ['GET']
+}
@@ -0,0 +1,6 @@
+'use strict'
+
+module.exports = {
+	allowedOrigins: ['a'],
+	methods: {$append: ['POST']}
+}
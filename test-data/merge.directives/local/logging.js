@@ -0,0 +1,6 @@
+'use strict'
+
+module.exports = {
+	file: {$unset: true},
+	transports: {$replace: [{type: 'file', path: '/tmp/app.log'}]}
+}
@@ -0,0 +1,7 @@
+'use strict'
+
+module.exports = {
+	level: 'info',
+	file: '/var/log/app.log',
+	transports: ['console']
+}
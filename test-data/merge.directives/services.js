@@ -0,0 +1,8 @@
+'use strict'
+
+module.exports = {
+	list: [
+		{id: 'a', url: 'http://a'},
+		{id: 'b', url: 'http://b'}
+	]
+}
@@ -0,0 +1,2 @@
+export const host = 'localhost'
+export const port = 5432
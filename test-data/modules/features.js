@@ -0,0 +1,7 @@
+'use strict'
+
+// As compiled from `export default {...}` by a transpiler
+Object.defineProperty(exports, '__esModule', {value: true})
+exports.default = {
+	signup: true
+}
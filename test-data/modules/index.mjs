@@ -0,0 +1,3 @@
+export default {
+	name: 'node-config-loader'
+}
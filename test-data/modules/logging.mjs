@@ -0,0 +1,3 @@
+export default (context) => ({
+	level: context.isEnv('production') ? 'warn' : context.config.logging.level
+})
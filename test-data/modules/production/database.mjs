@@ -0,0 +1,3 @@
+export default async (context) => ({host: `db.${context.env}.example.com`})
+
+export const unused = true
@@ -0,0 +1,5 @@
+'use strict'
+
+module.exports = {
+	timeout: 30
+}
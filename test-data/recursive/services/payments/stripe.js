@@ -0,0 +1,6 @@
+'use strict'
+
+module.exports = {
+	key: 'develop-key',
+	timeout: 10
+}
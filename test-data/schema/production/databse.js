@@ -0,0 +1,6 @@
+'use strict'
+
+// Purposely misspelled file name
+module.exports = {
+	host: 'db.example.com'
+}
@@ -0,0 +1,6 @@
+'use strict'
+
+module.exports = {
+	host: 'localhost',
+	password: 'enc:v2:2aghzyMCw97cuZerWpgRpa2mvIhmi/awZKiS3gF2c4KLOf82Sj0I4sSc4FwMQz5pziTH'
+}
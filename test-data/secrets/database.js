@@ -0,0 +1,7 @@
+'use strict'
+
+module.exports = {
+	host: 'localhost',
+	user: 'johndoe',
+	password: 'hunter2'
+}
@@ -0,0 +1,10 @@
+'use strict'
+
+// Local
+const secret = require('../../index').secret
+
+module.exports = {
+	endpoint: 'https://payments.example.com',
+	merchant: secret('merchant-1234'),
+	webhookToken: 'abc'
+}
@@ -0,0 +1,8 @@
+'use strict'
+
+module.exports = {
+	logging: {
+		level: 'info'
+	},
+	name: 'app'
+}
@@ -0,0 +1,15 @@
+'use strict'
+
+module.exports = {
+	type: 'object',
+	properties: {
+		database: {
+			type: 'object',
+			properties: {
+				host: {type: 'string'},
+				port: {type: 'integer', default: 5432}
+			},
+			required: ['host']
+		}
+	}
+}
@@ -0,0 +1,4 @@
+'use strict'
+
+// Helpers for test suites: require('node-config-loader/testing'); see lib/testing.js
+module.exports = require('./lib/testing')